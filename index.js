@@ -1,34 +1,268 @@
 const { Context, Schema } = require('koishi')
+const { createStreamReplier } = require('./lib/stream-reply')
+const { renderReply, sendMessages } = require('./lib/reply')
+const { ProviderChain } = require('./lib/provider-chain')
+const { AdapterManager, ADAPTER_CONFIG_KEYS } = require('./lib/adapter-manager')
+const {
+  getContextKey,
+  isSharedContext,
+  getSpeakerName,
+  setupContextTable,
+  getContext,
+  getSummary,
+  saveContext,
+  clearContext
+} = require('./lib/context')
+const {
+  trimHistory,
+  summarizeMessages,
+  createSummaryMessage,
+  estimateSummaryTokens
+} = require('./lib/summary')
+const {
+  parseMessageContent,
+  isEmptyContent,
+  contentToText,
+  prefixContent,
+  joinContents,
+  toStorableContent
+} = require('./lib/content')
+const { prepareImages } = require('./lib/image')
+const { estimateMessagesTokens } = require('./lib/tokens')
+const { renderPrompt } = require('./lib/template')
+const { ToolRegistry } = require('./lib/tools')
+const { ChatModelService } = require('./lib/service')
+const { setupPresetTables, resolvePreset, findUsablePreset, applyPresetCommands } = require('./lib/preset')
+const { setupQuotaTable, QuotaManager } = require('./lib/quota')
+const { setupAccountingTable, UsageLedger, applyAccountingCommands } = require('./lib/accounting')
+const { applyContextCommands } = require('./lib/context-admin')
+const { createTriggerMatcher } = require('./lib/trigger')
+const { ContextQueue } = require('./lib/queue')
+const { setupModerationTable, Moderator, applyModerationCommands } = require('./lib/moderation')
+const { setupMemoryTable, createMemoryMessage, MemoryManager, applyMemoryCommands } = require('./lib/memory')
+const {
+  setupKnowledgeTables,
+  createKnowledgeMessage,
+  appendCitations,
+  KnowledgeBase,
+  applyKnowledgeCommands
+} = require('./lib/knowledge')
+const { ErrorType, DEFAULT_ERROR_MESSAGES, describeError } = require('./lib/http')
 
 // 插件名称
 exports.name = 'chat-model'
 
+// Gemini 安全设置的类别
+const GEMINI_SAFETY_CATEGORIES = [
+  ['HARM_CATEGORY_HARASSMENT', '骚扰'],
+  ['HARM_CATEGORY_HATE_SPEECH', '仇恨言论'],
+  ['HARM_CATEGORY_SEXUALLY_EXPLICIT', '色情内容'],
+  ['HARM_CATEGORY_DANGEROUS_CONTENT', '危险内容']
+]
+
+// Gemini 安全设置的屏蔽阈值
+const GEMINI_SAFETY_THRESHOLDS = [
+  Schema.const('BLOCK_NONE').description('不屏蔽'),
+  Schema.const('BLOCK_ONLY_HIGH').description('只屏蔽高风险'),
+  Schema.const('BLOCK_MEDIUM_AND_ABOVE').description('屏蔽中风险及以上'),
+  Schema.const('BLOCK_LOW_AND_ABOVE').description('屏蔽低风险及以上')
+]
+
+// 长期记忆和知识库共用的嵌入配置
+const EMBEDDING_CONFIG = Schema.object({
+  api: Schema.union([
+    Schema.const('openai').description('OpenAI 及兼容接口'),
+    Schema.const('gemini').description('Gemini'),
+    Schema.const('ollama').description('Ollama'),
+    Schema.const('custom').description('自定义嵌入模块')
+  ]).description('嵌入接口类型，不填则根据模型类型选择'),
+  apiKey: Schema.string().role('secret').description('嵌入接口的API密钥，不填则使用上面的API密钥'),
+  apiEndpoint: Schema.string().description('嵌入接口地址，不填则使用上面的API地址或该接口的默认地址'),
+  model: Schema.string().description('嵌入模型名称，不填则使用该接口的默认模型'),
+  customEmbedder: Schema.string().description('自定义嵌入模块的路径(仅在使用自定义嵌入时需要)')
+}).description('嵌入配置')
+
 // 插件配置项
 exports.Config = Schema.object({
   modelType: Schema.union([
     Schema.const('openai').description('OpenAI (GPT-3.5/GPT-4)'),
     Schema.const('claude').description('Anthropic Claude'),
     Schema.const('gemini').description('Google Gemini'),
+    Schema.const('local').description('本地模型(Ollama、llama.cpp、vLLM 等)'),
     Schema.const('custom').description('自定义模型')
   ]).default('openai').description('对话模型类型'),
   apiKey: Schema.string().role('secret').description('API密钥'),
-  apiEndpoint: Schema.string().default('https://api.openai.com/v1').description('API地址(可选)'),
+  apiEndpoint: Schema.string().description('API地址(可选)，不填则使用各模型的默认地址'),
   modelName: Schema.string().default('gpt-3.5-turbo').description('模型名称'),
-  systemPrompt: Schema.string().default('你是一个有用的AI助手。').description('系统提示词'),
+  systemPrompt: Schema.string().default('你是一个有用的AI助手。').description('系统提示词，支持 {{date}}、{{user}} 等模板变量'),
+  promptVariables: Schema.dict(Schema.string()).default({}).description('系统提示中可以使用的自定义变量'),
+  promptTimezone: Schema.string().description('系统提示中日期和时间使用的时区(如 Asia/Shanghai)，不填则使用服务器时区'),
+  defaultPreset: Schema.string().description('默认使用的预设名称，不填则使用上面的系统提示词'),
+  presetAuthority: Schema.natural().default(3).description('管理共享预设和为频道切换预设所需的权限等级'),
   contextSize: Schema.number().default(10).description('上下文记忆的消息数量(默认: 10)'),
+  contextTokens: Schema.number().min(256).default(3000).description('上下文的令牌预算(估算值)，超出时较早的对话会被移出'),
+  modelContextTokens: Schema.dict(Schema.number().min(256)).default({}).description('按模型名称单独设置的令牌预算，未设置的模型使用 contextTokens'),
+  summarizeContext: Schema.boolean().default(true).description('是否将移出上下文的早期对话压缩为摘要'),
+  contextScope: Schema.union([
+    Schema.const('user').description('按用户(私聊和群聊共享)'),
+    Schema.const('channel').description('按频道(群成员共享同一段对话)'),
+    Schema.const('user-channel').description('按用户和频道')
+  ]).default('user').description('上下文记忆的作用范围'),
   temperature: Schema.number().min(0).max(2).step(0.1).default(0.7).description('温度参数(0-2之间)'),
-  responseTimeout: Schema.number().default(60).description('响应超时时间(秒)'),
+  generation: Schema.object({
+    maxTokens: Schema.natural().description('单次回复的最大令牌数，不填则使用接口默认值(Claude 为 4000)'),
+    topP: Schema.number().min(0).max(1).step(0.01).description('核采样参数 top_p'),
+    topK: Schema.natural().description('top_k 采样参数(Claude、Gemini 和本地模型)'),
+    stop: Schema.array(Schema.string()).default([]).description('停止序列'),
+    presencePenalty: Schema.number().min(-2).max(2).step(0.1).description('存在惩罚(OpenAI、Gemini 和本地模型)'),
+    frequencyPenalty: Schema.number().min(-2).max(2).step(0.1).description('频率惩罚(OpenAI、Gemini 和本地模型)'),
+    seed: Schema.number().description('随机种子，固定后相同输入的回复尽量保持一致(OpenAI、Gemini 和本地模型)'),
+    safetySettings: Schema.object(Object.fromEntries(GEMINI_SAFETY_CATEGORIES.map(([category, name]) => [
+      category,
+      Schema.union(GEMINI_SAFETY_THRESHOLDS).description(name)
+    ]))).description('Gemini 安全设置，不填的类别使用接口默认的屏蔽阈值')
+  }).description('生成参数，不填的参数使用接口默认值'),
+  responseTimeout: Schema.number().default(60).description('等待模型接口开始响应的超时时间(秒)，超时后按重试次数重试'),
+  requestTimeout: Schema.number().default(300).description('单次请求的总时间上限(秒)，包括重试和读取完整的流式回复'),
   triggerRatio: Schema.number().min(0).max(100).step(1).default(100).description('触发概率(0-100%之间)'),
-  triggerPrefix: Schema.string().description('触发前缀，不填则任何未命中命令的消息都会触发模型响应'),
+  triggerPrefix: Schema.string().description('触发前缀，私聊中设置后只有以此开头的消息会触发模型响应'),
   triggerPrivate: Schema.boolean().default(true).description('是否在私聊中自动触发'),
   triggerGroup: Schema.boolean().default(false).description('是否在群聊中自动触发'),
+  groupTriggerModes: Schema.array(Schema.union([
+    Schema.const('mention').description('@机器人'),
+    Schema.const('reply').description('回复机器人的消息'),
+    Schema.const('keyword').description('匹配触发关键词'),
+    Schema.const('prefix').description('以触发前缀开头'),
+    Schema.const('all').description('所有未命中命令的消息')
+  ])).role('checkbox').default(['mention', 'reply', 'prefix']).description('群聊中的触发方式，满足任一方式即触发'),
+  triggerKeywords: Schema.array(Schema.string()).default([]).description('群聊触发关键词(正则表达式，不区分大小写)'),
+  channelAllowlist: Schema.array(Schema.string()).default([]).description('只在这些群聊中触发(频道ID或 平台:频道ID)，不填则不限制'),
+  channelDenylist: Schema.array(Schema.string()).default([]).description('不在这些群聊中触发(频道ID或 平台:频道ID)'),
   showThinkingMessage: Schema.boolean().default(false).description('是否显示"正在思考中..."'),
+  vision: Schema.boolean().default(false).description('是否将消息中的图片发送给模型(需要模型支持识图)'),
+  maxImageSize: Schema.number().min(0.1).default(5).description('单张图片的最大体积(MB)，超出的图片将被忽略'),
+  maxImagesPerMessage: Schema.number().min(1).default(4).description('每条消息最多发送给模型的图片数量'),
+  enableTools: Schema.boolean().default(false).description('是否允许模型调用其他插件注册的工具(启用后不使用流式回复)'),
+  maxToolRounds: Schema.number().min(1).default(5).description('单次回复中最多执行工具调用的轮数'),
+  toolTimeout: Schema.number().min(1).default(30).description('单个工具的执行超时时间(秒)'),
+  queueMode: Schema.union([
+    Schema.const('serial').description('逐条处理'),
+    Schema.const('merge').description('合并为一轮对话')
+  ]).default('serial').description('同一上下文正在生成回复时，新消息的处理方式'),
+  maxQueueSize: Schema.natural().default(3).description('每个上下文最多排队等待的消息数，超出时提示用户稍候；0表示不排队，上下文正在处理时直接提示'),
+  maxConcurrency: Schema.natural().default(0).description('同时进行的模型请求数上限，0为不限制'),
+  streaming: Schema.boolean().default(false).description('是否启用流式回复(逐步编辑消息，不支持编辑的平台按句子分段发送)'),
+  streamInterval: Schema.number().min(200).default(1000).description('流式回复时编辑消息的最小间隔(毫秒)'),
+  markdownMode: Schema.union([
+    Schema.const('raw').description('原样发送'),
+    Schema.const('plain').description('转换为纯文本'),
+    Schema.const('element').description('转换为消息元素(粗体、链接、图片等)')
+  ]).default('plain').description('回复中 Markdown 格式的处理方式'),
+  maxReplyLength: Schema.natural().default(2000).description('单条消息的最大长度，超出时按段落拆分发送，0为不限制'),
+  platformReplyLength: Schema.dict(Schema.natural()).default({}).description('按平台名称单独设置的单条消息最大长度'),
+  forwardLongReply: Schema.boolean().default(false).description('回复需要拆分时是否合并为一条转发消息发送(需要平台支持)'),
   customModelAdapter: Schema.string().description('自定义模型适配器路径(仅modelType=custom时有效)'),
+  claude: Schema.object({
+    promptCaching: Schema.boolean().default(false).description('是否缓存系统提示和较早的对话，降低长对话的费用'),
+    thinking: Schema.boolean().default(false).description('是否启用扩展思考(需要模型支持，启用后温度和 top_k 不生效)'),
+    thinkingBudget: Schema.natural().min(1024).default(2048).description('扩展思考的令牌预算'),
+    logThinking: Schema.boolean().default(false).description('是否在日志中输出思考过程'),
+    apiVersion: Schema.string().default('2023-06-01').description('请求头 anthropic-version 的值'),
+    betas: Schema.array(Schema.string()).default([]).description('启用的测试功能，作为请求头 anthropic-beta 发送')
+  }).description('Claude 配置(仅modelType=claude时有效)'),
+  local: Schema.object({
+    api: Schema.union([
+      Schema.const('openai').description('兼容 OpenAI 的接口(/v1/chat/completions)'),
+      Schema.const('ollama').description('Ollama 原生接口(/api/chat)')
+    ]).default('openai').description('本地服务的接口类型'),
+    repetitionPenalty: Schema.number().min(0).step(0.05).description('重复惩罚，不填则使用服务端默认值')
+  }).description('本地模型配置(仅modelType=local时有效)'),
+  providers: Schema.array(Schema.object({
+    modelType: Schema.union(['openai', 'claude', 'gemini', 'local', 'custom']).default('openai').description('对话模型类型'),
+    apiKey: Schema.string().role('secret').description('API密钥'),
+    apiEndpoint: Schema.string().description('API地址(可选)'),
+    modelName: Schema.string().description('模型名称(可选)')
+  })).default([]).description('按顺序尝试的提供方列表，前一个出现限流、超时或服务端错误时自动切换到下一个；不填则只使用上面的模型配置'),
+  providerCooldown: Schema.number().min(0).default(60).description('提供方请求失败后的冷却时间(秒)，冷却期间优先使用其他提供方'),
+  maxRetries: Schema.natural().default(2).description('限流、超时、网络错误或服务端错误时重试同一提供方的次数'),
+  retryDelay: Schema.number().min(0).default(1).description('首次重试前的基础等待时间(秒)，之后每次翻倍，服务端返回 Retry-After 时以其为准'),
+  errorMessages: Schema.object({
+    [ErrorType.AUTH]: Schema.string().default(DEFAULT_ERROR_MESSAGES[ErrorType.AUTH]).description('API密钥无效或无权限'),
+    [ErrorType.RATE_LIMIT]: Schema.string().default(DEFAULT_ERROR_MESSAGES[ErrorType.RATE_LIMIT]).description('请求被限流'),
+    [ErrorType.QUOTA]: Schema.string().default(DEFAULT_ERROR_MESSAGES[ErrorType.QUOTA]).description('API额度用尽'),
+    [ErrorType.TIMEOUT]: Schema.string().default(DEFAULT_ERROR_MESSAGES[ErrorType.TIMEOUT]).description('请求超时'),
+    [ErrorType.CONTENT_FILTER]: Schema.string().default(DEFAULT_ERROR_MESSAGES[ErrorType.CONTENT_FILTER]).description('触发内容安全策略'),
+    [ErrorType.SERVER]: Schema.string().default(DEFAULT_ERROR_MESSAGES[ErrorType.SERVER]).description('服务端错误'),
+    [ErrorType.NETWORK]: Schema.string().default(DEFAULT_ERROR_MESSAGES[ErrorType.NETWORK]).description('网络错误'),
+    [ErrorType.BAD_REQUEST]: Schema.string().default(DEFAULT_ERROR_MESSAGES[ErrorType.BAD_REQUEST]).description('请求参数错误'),
+    [ErrorType.UNKNOWN]: Schema.string().default(DEFAULT_ERROR_MESSAGES[ErrorType.UNKNOWN]).description('其他错误')
+  }).description('出错时向用户展示的提示'),
+  moderation: Schema.object({
+    enabled: Schema.boolean().default(false).description('是否启用内容审核'),
+    checkInput: Schema.boolean().default(true).description('是否审核用户发送给模型的消息'),
+    checkOutput: Schema.boolean().default(true).description('是否审核模型的回复(处理方式不是仅记录时不使用流式回复)'),
+    blocklist: Schema.array(Schema.string()).default([]).description('屏蔽词(正则表达式，不区分大小写)'),
+    useOpenAI: Schema.boolean().default(false).description('未命中屏蔽词时是否再调用 OpenAI 审核接口'),
+    apiKey: Schema.string().role('secret').description('审核接口的API密钥，不填则使用上面的API密钥'),
+    apiEndpoint: Schema.string().default('https://api.openai.com/v1').description('审核接口地址'),
+    model: Schema.string().default('omni-moderation-latest').description('审核模型名称'),
+    action: Schema.union([
+      Schema.const('refuse').description('拒绝处理'),
+      Schema.const('redact').description('替换命中的屏蔽词后继续'),
+      Schema.const('log').description('仅记录，照常处理')
+    ]).default('refuse').description('内容命中审核时的处理方式'),
+    refuseMessage: Schema.string().default('抱歉，该内容不符合群规，无法处理。').description('拒绝处理时的提示'),
+    replacement: Schema.string().default('[已屏蔽]').description('打码时替换屏蔽词使用的文本'),
+    audit: Schema.boolean().default(true).description('是否将命中审核的内容记录到数据库'),
+    auditAuthority: Schema.natural().default(3).description('查看审核记录所需的权限等级')
+  }).description('内容审核配置'),
+  memory: Schema.object({
+    enabled: Schema.boolean().default(false).description('是否启用长期记忆'),
+    mode: Schema.union([
+      Schema.const('exchange').description('保存每轮对话原文'),
+      Schema.const('extract').description('由模型提取值得记住的信息')
+    ]).default('exchange').description('保存记忆的方式'),
+    topK: Schema.natural().min(1).default(3).description('每次对话检索的记忆条数'),
+    minScore: Schema.number().min(0).max(1).step(0.05).default(0.5).description('记忆被采用的最低相似度'),
+    maxPerUser: Schema.natural().default(200).description('每个用户保存的最大记忆条数，超出时删除最早的记忆，0为不限制'),
+    embedding: EMBEDDING_CONFIG
+  }).description('长期记忆配置'),
+  knowledge: Schema.object({
+    enabled: Schema.boolean().default(false).description('是否启用知识库'),
+    directory: Schema.string().description('知识库目录，启动时导入其中的 Markdown 和文本文件'),
+    chunkSize: Schema.natural().min(100).default(500).description('文档切分后每段的最大长度'),
+    topK: Schema.natural().min(1).default(3).description('每次对话检索的段落数'),
+    minScore: Schema.number().min(0).default(1).description('段落被采用的最低 BM25 得分'),
+    useEmbedding: Schema.boolean().default(false).description('是否同时使用嵌入向量检索'),
+    minSimilarity: Schema.number().min(0).max(1).step(0.05).default(0.5).description('使用嵌入检索时段落被采用的最低相似度'),
+    embedding: EMBEDDING_CONFIG,
+    citeSources: Schema.boolean().default(true).description('是否在回复末尾列出引用的资料'),
+    authority: Schema.natural().default(3).description('管理知识库所需的权限等级')
+  }).description('知识库配置'),
+  healthCheck: Schema.boolean().default(false).description('修改模型配置时是否先发送一条测试消息，确认可用后再切换'),
   usageLimit: Schema.object({
     enabled: Schema.boolean().default(false).description('是否启用使用限制'),
-    maxMessagesPerUser: Schema.number().default(100).description('每用户每日最大消息数'),
-    resetTime: Schema.string().default('00:00').description('计数重置时间(24小时制,如 00:00)')
-  }).description('使用限制配置')
+    maxMessagesPerUser: Schema.natural().default(100).description('每用户每日最大消息数，0为不限制'),
+    maxTokensPerUser: Schema.natural().default(0).description('每用户每日最大令牌用量，0为不限制'),
+    burstLimit: Schema.natural().default(0).description('每用户每分钟最大消息数，0为不限制'),
+    maxMessagesPerChannel: Schema.natural().default(0).description('每个群每日最大消息数(所有成员合计)，0为不限制'),
+    authorityLimits: Schema.array(Schema.object({
+      authority: Schema.natural().required().description('权限等级'),
+      maxMessagesPerUser: Schema.natural().description('每日最大消息数，不填则沿用默认值'),
+      maxTokensPerUser: Schema.natural().description('每日最大令牌用量，不填则沿用默认值'),
+      burstLimit: Schema.natural().description('每分钟最大消息数，不填则沿用默认值')
+    })).default([]).description('按权限等级覆盖的限额，用户适用权限等级不超过自身的规则中等级最高的一条'),
+    resetTime: Schema.string().default('00:00').description('计数重置时间(24小时制,如 00:00)'),
+    timezone: Schema.string().description('计算重置时间使用的时区(如 Asia/Shanghai)，不填则使用服务器时区')
+  }).description('使用限制配置'),
+  pricing: Schema.dict(Schema.object({
+    prompt: Schema.number().min(0).default(0).description('输入价格(每百万令牌)'),
+    completion: Schema.number().min(0).default(0).description('输出价格(每百万令牌)')
+  })).default({}).description('按模型名称设置的价格，用于估算费用'),
+  statsAuthority: Schema.natural().default(3).description('查看用量统计所需的权限等级'),
+  contextAuthority: Schema.natural().default(3).description('使用上下文管理命令所需的权限等级'),
+  modelListAuthority: Schema.natural().default(3).description('查看可用模型列表所需的权限等级'),
+  modelOverrideAuthority: Schema.natural().default(3).description('使用 chat 命令的 -m 选项指定模型所需的权限等级')
 })
 
 // 声明依赖的服务或插件
@@ -36,69 +270,86 @@ exports.using = ['database']
 
 // 插件主体逻辑
 exports.apply = (ctx, config) => {
-  // 从lib目录加载适配器
-  const ModelAdapter = loadModelAdapter(ctx, config)
-  let modelInstance = new ModelAdapter(ctx, config)
+  // 按配置创建提供方回退链，由管理器持有以便在配置更新时替换
+  const modelInstance = new AdapterManager(ctx, config, (config) => new ProviderChain(ctx, config, loadModelAdapter))
 
-  // 监听配置更新，重新初始化适配器
-  ctx.on('config', (newConfig) => {
-    if (!newConfig || !newConfig.modelType) return;
-    try {
-      const NewModelAdapter = loadModelAdapter(ctx, newConfig)
-      modelInstance = new NewModelAdapter(ctx, newConfig)
-      ctx.logger.info('配置已更新，模型适配器已重新初始化')
-    } catch (error) {
-      ctx.logger.error(`重新初始化模型适配器失败: ${error.message}`)
-    }
+  // 只修改模型相关配置时热替换适配器，不重启插件
+  ctx.accept(ADAPTER_CONFIG_KEYS, (newConfig) => {
+    modelInstance.reload(newConfig)
   })
 
   // 初始化数据库
   setupDatabase(ctx)
   
+  // 提供工具注册表服务，供其他插件注册可由模型调用的工具
+  ctx.plugin(ToolRegistry, config)
+  let toolRegistry = null
+  ctx.using(['chatModelTools'], (ctx) => {
+    toolRegistry = ctx.chatModelTools
+    ctx.on('dispose', () => { toolRegistry = null })
+  })
+  
+  // 使用限额
+  const quota = new QuotaManager(ctx, config)
+  
+  // 用量记录
+  const ledger = new UsageLedger(ctx, config)
+  
+  // 按上下文排队的消息队列
+  const contextQueue = new ContextQueue(config)
+  
+  // 内容审核
+  const moderator = new Moderator(ctx, config)
+  
+  // 长期记忆
+  const memory = new MemoryManager(ctx, config, modelInstance, ledger)
+  
+  // 知识库，启动时导入知识库目录中的文件
+  const knowledge = new KnowledgeBase(ctx, config, modelInstance)
+  if (knowledge.enabled && knowledge.directory) {
+    ctx.on('ready', async () => {
+      try {
+        const { added, updated, removed } = await knowledge.syncDirectory()
+        ctx.logger.info(`知识库同步完成: 新增 ${added} 篇，更新 ${updated} 篇，删除 ${removed} 篇`)
+      } catch (error) {
+        ctx.logger.error(`同步知识库目录失败: ${error.message}`)
+      }
+    })
+  }
+  
+  // 提供聊天模型服务，供其他插件使用本插件的模型、限额和对话历史
+  ctx.plugin(ChatModelService, { config, model: modelInstance, getToolRegistry: () => toolRegistry, quota, ledger, moderator })
+  let chatModel = null
+  ctx.using(['chatModel'], (ctx) => {
+    chatModel = ctx.chatModel
+    ctx.on('dispose', () => { chatModel = null })
+  })
+  
   // 消息处理器
-  const messageHandler = createMessageHandler(ctx, config, modelInstance)
+  const messageHandler = createMessageHandler(ctx, config, () => chatModel, quota, ledger, moderator, memory, knowledge)
   
-  // 注册middleware - 在消息中间件管道的末尾捕获未处理的消息
-  ctx.middleware(async (session, next) => {
-    // 调试日志：检查收到的所有消息
-    ctx.logger.debug(`收到消息: [${session.userId}] ${session.content}`)
-    
-    // 首先尝试使用Koishi的其他处理器处理消息
-    const handled = await next()
-    
-    // 如果消息已被处理，或者是不应该触发的消息类型，则直接返回
-    if (handled || shouldIgnoreMessage(session, config)) {
-      if (handled) ctx.logger.debug('消息已被其他中间件处理')
-      return handled
-    }
-    
-    // 检查是否有自定义前缀，如果有则检查消息是否以该前缀开头
-    if (config.triggerPrefix && !session.content.startsWith(config.triggerPrefix)) {
-      return
-    }
-    
-    // 移除前缀（如果有）
-    let content = session.content
-    if (config.triggerPrefix) {
-      content = content.substring(config.triggerPrefix.length).trim()
-    }
-    
-    // 如果内容为空，则不处理
-    if (!content) {
+  // 消息触发条件
+  const matchTrigger = createTriggerMatcher(ctx, config)
+  
+  // 检查使用限制、排队等待并发送回复，自动触发和 chat 命令共用
+  // target 可以指定本次使用的预设和模型，stateless 为 true 时不读写上下文
+  const respond = async (session, input, target = {}) => {
+    // 检查用户使用限制
+    const exceeded = await quota.check(session)
+    if (exceeded) {
+      await session.send(exceeded)
       return
     }
     
-    // 使用概率判断是否响应
-    if (config.triggerRatio < 100 && Math.random() * 100 > config.triggerRatio) {
-      ctx.logger.debug('根据概率设置不响应此消息')
+    // 同一上下文的消息排队处理，队列已满时提示用户稍候；不读写上下文的请求无需排队
+    const contextKey = getContextKey(session, config.contextScope)
+    const inputs = target.stateless ? [input] : await contextQueue.acquire(contextKey, session, input)
+    if (!inputs) {
+      await session.send('还在处理你之前的消息，请稍候再发送')
       return
     }
-    
-    // 检查用户使用限制
-    if (config.usageLimit?.enabled && !await checkUsageLimit(ctx, session.userId, config)) {
-      await session.send('今日对话次数已达上限，请明天再来')
-      // 设置标记但不返回true
-      session._handled = true
+    // 已合并到同一用户排队中的请求，由该请求统一回复
+    if (inputs.length === 0) {
       return
     }
     
@@ -113,8 +364,13 @@ exports.apply = (ctx, config) => {
         }
       }
       
+      // 流式模式下边生成边更新消息，需要审核回复时等待生成完毕再发送
+      const replier = config.streaming && !moderator.holdsOutput
+        ? createStreamReplier(ctx, session, config, replyMessageId)
+        : null
+      
       // 处理消息并发送回复
-      const reply = await messageHandler(session, content)
+      const reply = await messageHandler(session, joinContents(inputs), replier?.push, target)
       
       // 如果没有回复内容，则跳过发送
       if (!reply) {
@@ -122,34 +378,128 @@ exports.apply = (ctx, config) => {
         return
       }
       
-      // 如果有思考中消息，尝试编辑它，否则直接发送
-      if (replyMessageId && session.bot.editMessage) {
-        await session.bot.editMessage(session.channelId, replyMessageId, reply).catch(async () => {
-          await session.send(reply)
-        })
-      } else {
-        await session.send(reply)
-      }
+      // 按平台长度限制拆分并转换 Markdown
+      const messages = renderReply(session, reply, config)
       
-      // 更新用户使用计数
-      if (config.usageLimit?.enabled) {
-        await updateUsageCount(ctx, session.userId)
+      // 如果有思考中消息，尝试编辑为第一条消息，否则直接发送
+      if (replier) {
+        await replier.finish(reply, messages)
+      } else if (replyMessageId && session.bot.editMessage) {
+        const [first, ...rest] = messages
+        await session.bot.editMessage(session.channelId, replyMessageId, first).then(
+          () => sendMessages(session, rest),
+          () => sendMessages(session, messages)
+        )
+      } else {
+        await sendMessages(session, messages)
       }
-      
-      // 标记消息为已处理，但不显式返回true
-      session._handled = true
     } catch (error) {
       ctx.logger.error('处理消息时出错:', error)
-      await session.send(`处理消息时出错: ${error.message}`)
-      session._handled = true
+      await session.send(describeError(error, config.errorMessages))
+    } finally {
+      if (!target.stateless) contextQueue.release(contextKey)
+    }
+  }
+  
+  // 注册middleware - 在消息中间件管道的末尾捕获未处理的消息
+  ctx.middleware(async (session, next) => {
+    // 调试日志：检查收到的所有消息
+    ctx.logger.debug(`收到消息: [${session.userId}] ${session.content}`)
+    
+    // 首先尝试使用Koishi的其他处理器处理消息
+    const handled = await next()
+    
+    // 如果消息已被处理，则直接返回
+    if (handled) {
+      ctx.logger.debug('消息已被其他中间件处理')
+      return handled
+    }
+    
+    // 判断是否满足触发条件，并去除@机器人和前缀
+    const content = matchTrigger(session)
+    if (content === null) {
+      return
+    }
+    
+    // 解析消息中的文本和图片，如果内容为空，则不处理
+    const input = parseMessageContent(content, config)
+    if (isEmptyContent(input)) {
+      return
     }
+    
+    // 使用概率判断是否响应
+    if (config.triggerRatio < 100 && Math.random() * 100 > config.triggerRatio) {
+      ctx.logger.debug('根据概率设置不响应此消息')
+      return
+    }
+    
+    // 检查限额、排队并发送回复
+    await respond(session, input)
+    // 设置标记但不返回true
+    session._handled = true
   }, true)
   
+  // 注册主动对话的命令，不受触发条件限制
+  ctx.command('chat <text:text>', '向AI助手提问')
+    .alias('对话')
+    .option('preset', '-p <preset:string> 本次使用指定的预设')
+    .option('stateless', '-n 单次提问，不读取也不保存上下文')
+    .option('model', '-m <model:string> 本次使用指定的模型', { authority: config.modelOverrideAuthority ?? 3 })
+    .action(async ({ session, options }, text) => {
+      const input = parseMessageContent(text || '', config)
+      if (isEmptyContent(input)) return '请输入要发送的内容'
+      
+      const target = { stateless: !!options.stateless }
+      if (options.preset) {
+        target.preset = await findUsablePreset(ctx, session, options.preset)
+        if (!target.preset) return `预设 ${options.preset} 不存在`
+      }
+      if (options.model) target.modelName = options.model
+      
+      await respond(session, input, target)
+    })
+  
+  // 注册查询剩余额度的命令
+  ctx.command('额度', '查询今日剩余的对话额度')
+    .alias('/额度')
+    .action(async ({ session }) => {
+      return quota.describe(session)
+    })
+  
+  // 注册查询可用模型的命令
+  ctx.command('模型列表', '查看模型服务提供的模型', { authority: config.modelListAuthority ?? 3 })
+    .action(async () => {
+      const results = await modelInstance.listModels()
+      return results.map(({ name, models, error }) => {
+        if (error) return `${name}: 查询失败，${error}`
+        if (!models.length) return `${name}: 没有可用的模型`
+        return `${name}:\n${models.join('\n')}`
+      }).join('\n\n')
+    })
+  
+  // 注册预设管理命令
+  applyPresetCommands(ctx, config)
+  
+  // 注册用量统计命令
+  applyAccountingCommands(ctx, config, ledger)
+  
+  // 注册上下文管理命令
+  applyContextCommands(ctx, config, messageHandler, contextQueue, quota)
+  
+  // 注册审核记录命令
+  applyModerationCommands(ctx, config)
+  
+  // 注册长期记忆命令
+  applyMemoryCommands(ctx, config)
+  
+  // 注册知识库管理命令
+  applyKnowledgeCommands(ctx, config, knowledge)
+  
   // 注册清理上下文的命令
   ctx.command('清除上下文', '清除与AI助手的对话上下文')
     .alias('/清除上下文')
     .action(async ({ session }) => {
-      await clearUserContext(ctx, session.userId)
+      await clearContext(ctx, getContextKey(session, config.contextScope))
       return '已清除对话上下文'
     })
   
@@ -171,6 +521,8 @@ function loadModelAdapter(ctx, config) {
         return require('./lib/claude-adapter')
       case 'gemini':
         return require('./lib/gemini-adapter')
+      case 'local':
+        return require('./lib/local-adapter')
       case 'custom':
         if (!config.customModelAdapter) {
           throw new Error('使用自定义模型时必须提供适配器路径')
@@ -189,70 +541,126 @@ function loadModelAdapter(ctx, config) {
 // 设置数据库表结构
 function setupDatabase(ctx) {
   // 用于存储上下文历史记录
-  ctx.model.extend('chatModelContext', {
-    // 用户ID
-    userId: 'string',
-    // 上下文历史（作为JSON字符串存储）
-    context: 'json',
-    // 最后更新时间
-    updatedAt: 'timestamp'
-  }, {
-    primary: 'userId'
-  })
+  setupContextTable(ctx)
+  
+  // 用于存储预设
+  setupPresetTables(ctx)
   
   // 用于存储使用统计
-  ctx.model.extend('chatModelUsage', {
-    // 用户ID
-    userId: 'string',
-    // 当日消息计数
-    dailyCount: 'integer',
-    // 上次重置时间
-    lastResetDate: 'string'
-  }, {
-    primary: 'userId'
-  })
+  setupQuotaTable(ctx)
+  
+  // 用于存储每次模型请求的用量
+  setupAccountingTable(ctx)
+  
+  // 用于存储命中内容审核的记录
+  setupModerationTable(ctx)
+  
+  // 用于存储长期记忆
+  setupMemoryTable(ctx)
+  
+  // 用于存储知识库文档
+  setupKnowledgeTables(ctx)
 }
 
 // 创建消息处理器函数
-function createMessageHandler(ctx, config, modelInstance) {
-  return async (session, content) => {
-    // 获取用户上下文
-    const userContext = await getUserContext(ctx, session.userId)
+// 重新生成回复时可以通过 target 指定上下文键和对话历史(不含本次消息)，此时消息内容按原样加入
+// target 还可以指定本次使用的预设(preset)和模型(modelName)，stateless 为 true 时不读取也不保存上下文
+function createMessageHandler(ctx, config, getChatModel, quota, ledger, moderator, memory, knowledge) {
+  return async (session, content, onToken, target = {}) => {
+    const chatModel = getChatModel()
+    
+    // 审核用户消息，拒绝时不请求模型
+    const input = await moderator.review(session, content, 'input')
+    if (input.blocked) return moderator.refuseMessage
+    content = input.content
     
-    // 添加新的用户消息
+    // 获取当前作用范围的上下文
+    const contextKey = target.contextKey || getContextKey(session, config.contextScope)
+    const userContext = target.history || (target.stateless ? [] : await getContext(ctx, contextKey))
+    
+    // 添加新的用户消息，多人共享上下文时标注发言者，便于模型区分
     userContext.push({
       role: 'user',
-      content: content
+      content: !target.history && !target.stateless && isSharedContext(session, config.contextScope)
+        ? prefixContent(content, `${getSpeakerName(session)}: `)
+        : content
     })
     
-    // 限制上下文大小
-    while (userContext.length > config.contextSize * 2 + 1) { // +1是因为我们要保留system消息
-      // 移除最早的用户消息和对应的助手回复(成对删除)
-      userContext.splice(1, 2)
+    // 累计本次对话(含摘要和工具调用)消耗的令牌，并记录每次请求的用量
+    let usedTokens = 0
+    const onUsage = (usage) => {
+      usedTokens += (usage.promptTokens || 0) + (usage.completionTokens || 0)
+      ledger.record(session, usage)
     }
     
-    // 从配置中获取系统提示，并确保它始终是第一条消息
+    // 指定或当前生效的预设可以覆盖系统提示、温度和模型
+    const preset = target.preset || await resolvePreset(ctx, session, config)
+    const systemPrompt = renderPrompt(preset?.systemPrompt || config.systemPrompt, session, config)
+    const options = { onUsage }
+    if (preset?.temperature !== null && preset?.temperature !== undefined) options.temperature = preset.temperature
+    if (preset?.modelName) options.modelName = preset.modelName
+    if (target.modelName) options.modelName = target.modelName
+    
+    // 确保系统提示始终是第一条消息
     if (userContext.length === 0 || userContext[0].role !== 'system') {
       userContext.unshift({
         role: 'system',
-        content: config.systemPrompt
+        content: systemPrompt
       })
     } else {
       // 更新系统提示内容
-      userContext[0].content = config.systemPrompt
+      userContext[0].content = systemPrompt
+    }
+    
+    // 检索与本次消息相关的知识库资料和长期记忆
+    const chunks = await knowledge.search(contentToText(content))
+    const memories = await memory.recall(session, content)
+    const extraMessages = [
+      chunks.length > 0 && createKnowledgeMessage(chunks),
+      memories.length > 0 && createMemoryMessage(memories)
+    ].filter(Boolean)
+    
+    // 按令牌预算和轮数上限裁剪上下文，移出的早期对话合并进摘要
+    let summary = target.stateless ? '' : await getSummary(ctx, contextKey)
+    const previousSummary = summary
+    const removed = trimHistory(userContext, {
+      budget: getContextBudget(config, options.modelName || chatModel.modelName),
+      maxMessages: config.contextSize * 2,
+      reserved: estimateSummaryTokens(summary) + estimateMessagesTokens(extraMessages)
+    })
+    if (removed.length > 0) {
+      ctx.logger.debug(`上下文超出预算，移出 ${removed.length} 条早期消息`)
+      if (config.summarizeContext) {
+        try {
+          summary = await summarizeMessages(chatModel.model, session, summary, removed, { onUsage })
+        } catch (error) {
+          ctx.logger.warn(`生成对话摘要失败，早期消息将被丢弃: ${error.message}`)
+        }
+      }
     }
     
-    // 设置超时
-    const timeout = (config.responseTimeout || 60) * 1000
+    // 资料、记忆和摘要紧跟在系统提示之后，只用于本次请求，不写入上下文历史
+    const injected = [...extraMessages, summary && createSummaryMessage(summary)].filter(Boolean)
+    let messages = injected.length > 0
+      ? [userContext[0], ...injected, ...userContext.slice(1)]
+      : userContext
+    
+    // 下载最新消息中的图片，转换为模型可用的格式
+    if (config.vision) {
+      messages = await prepareImages(ctx, messages, config)
+    }
     
     try {
-      // 请求模型响应
-      const response = await Promise.race([
-        modelInstance.generateResponse(userContext, session),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('响应超时')), timeout)
-        )
-      ])
+      // 请求模型响应，请求前后触发服务事件
+      let response = await chatModel.generate(messages, session, { ...options, onToken })
+      
+      // 审核模型回复，拒绝时不写入上下文，但照常计入用量
+      const output = response ? await moderator.review(session, response, 'output') : null
+      if (output?.blocked) {
+        await quota.record(session, usedTokens)
+        return moderator.refuseMessage
+      }
+      if (output) response = output.content
       
       // 添加助手回复到上下文
       if (response) {
@@ -260,159 +668,34 @@ function createMessageHandler(ctx, config, modelInstance) {
           role: 'assistant',
           content: response
         })
-        // 保存更新的上下文
-        await saveUserContext(ctx, session.userId, userContext)
+        // 保存更新的上下文，图片只保存链接，摘要有变化时一并保存
+        if (!target.stateless) {
+          const storable = userContext.map(msg => ({ ...msg, content: toStorableContent(msg.content) }))
+          await saveContext(ctx, contextKey, storable, summary !== previousSummary ? summary : undefined)
+        }
+        // 更新用户使用计数
+        await quota.record(session, usedTokens)
+        // 在后台保存本轮对话的记忆，重新生成和单次提问不保存
+        if (!target.stateless && !target.history) {
+          memory.remember(session, content, response).catch((error) => {
+            if (ctx.scope.isActive) ctx.logger.warn(`保存长期记忆失败: ${error.message}`)
+          })
+        }
       }
       
+      // 列出回复中引用的知识库资料，不写入上下文
+      if (response && chunks.length > 0 && config.knowledge?.citeSources !== false) {
+        return appendCitations(response, chunks)
+      }
       return response
     } catch (error) {
       ctx.logger.error('生成回复失败:', error)
-      return `抱歉，生成回复时发生错误: ${error.message}`
-    }
-  }
-}
-
-// 获取用户上下文
-async function getUserContext(ctx, userId) {
-  try {
-    const record = await ctx.database.get('chatModelContext', { userId })
-    if (record && record.length > 0) {
-      return record[0].context || []
-    }
-  } catch (error) {
-    ctx.logger.error(`无法从数据库读取上下文: ${error.message}`)
-  }
-  return []
-}
-
-// 保存用户上下文
-async function saveUserContext(ctx, userId, context) {
-  const now = new Date().getTime()
-  
-  try {
-    // 尝试更新现有记录
-    const records = await ctx.database.get('chatModelContext', { userId })
-    
-    if (records && records.length > 0) {
-      await ctx.database.set('chatModelContext', { userId }, {
-        context,
-        updatedAt: now
-      })
-    } else {
-      await ctx.database.create('chatModelContext', {
-        userId,
-        context,
-        updatedAt: now
-      })
-    }
-  } catch (error) {
-    ctx.logger.error(`保存上下文到数据库失败: ${error.message}`)
-  }
-}
-
-// 清除用户上下文
-async function clearUserContext(ctx, userId) {
-  await ctx.database.set('chatModelContext', { userId }, {
-    context: [],
-    updatedAt: new Date().getTime()
-  })
-}
-
-// 检查当前日期是否需要重置使用计数
-async function checkAndResetUsage(ctx, userId, config) {
-  const records = await ctx.database.get('chatModelUsage', { userId })
-  
-  if (!records || records.length === 0) {
-    return true
-  }
-  
-  const record = records[0]
-  const today = new Date().toISOString().split('T')[0] // YYYY-MM-DD
-  
-  // 如果日期不同，重置计数
-  if (record.lastResetDate !== today) {
-    await ctx.database.set('chatModelUsage', { userId }, {
-      dailyCount: 0,
-      lastResetDate: today
-    })
-    return true
-  }
-  
-  // 返回是否未超过限制
-  return record.dailyCount < (config.usageLimit?.maxMessagesPerUser || 100)
-}
-
-// 检查使用限制
-async function checkUsageLimit(ctx, userId, config) {
-  const records = await ctx.database.get('chatModelUsage', { userId })
-  
-  if (!records || records.length === 0) {
-    return true // 首次使用，允许
-  }
-  
-  const record = records[0]
-  const today = new Date().toISOString().split('T')[0] // YYYY-MM-DD
-  
-  // 如果日期不同，重置计数
-  if (record.lastResetDate !== today) {
-    await ctx.database.set('chatModelUsage', { userId }, {
-      dailyCount: 0,
-      lastResetDate: today
-    })
-    return true
-  }
-  
-  // 返回是否未超过限制
-  return record.dailyCount < (config.usageLimit?.maxMessagesPerUser || 100)
-}
-
-// 更新使用计数
-async function updateUsageCount(ctx, userId) {
-  const today = new Date().toISOString().split('T')[0] // YYYY-MM-DD
-  const records = await ctx.database.get('chatModelUsage', { userId })
-  
-  if (!records || records.length === 0) {
-    // 创建新记录
-    await ctx.database.create('chatModelUsage', {
-      userId,
-      dailyCount: 1,
-      lastResetDate: today
-    })
-  } else {
-    // 更新现有记录
-    const record = records[0]
-    
-    // 如果是新的一天，重置计数
-    if (record.lastResetDate !== today) {
-      await ctx.database.set('chatModelUsage', { userId }, {
-        dailyCount: 1,
-        lastResetDate: today
-      })
-    } else {
-      // 增加计数
-      await ctx.database.set('chatModelUsage', { userId }, {
-        dailyCount: record.dailyCount + 1
-      })
+      return describeError(error, config.errorMessages)
     }
   }
 }
 
-// 判断是否应该忽略消息
-function shouldIgnoreMessage(session, config) {
-  // 忽略自己发送的消息
-  if (session.userId === session.selfId) {
-    return true
-  }
-  
-  // 根据配置决定是否处理私聊/群聊消息
-  const isPrivate = session.channelId === session.userId
-  if (isPrivate && !config.triggerPrivate) {
-    return true
-  }
-  
-  if (!isPrivate && !config.triggerGroup) {
-    return true
-  }
-  
-  return false
+// 获取当前模型的上下文令牌预算
+function getContextBudget(config, modelName) {
+  return config.modelContextTokens?.[modelName] || config.contextTokens || 3000
 } 
\ No newline at end of file
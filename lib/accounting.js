@@ -0,0 +1,183 @@
+const { $ } = require('koishi')
+const { isPrivateSession } = require('./context')
+const { getZonedTime } = require('./quota')
+
+// 统计报表中按用户、频道分组时最多显示的条数
+const MAX_REPORT_ROWS = 20
+
+// 报表支持的分组方式
+const GROUP_FIELDS = {
+  day: { field: 'date', label: '日期' },
+  user: { field: 'userId', label: '用户' },
+  channel: { field: 'channelId', label: '频道' },
+  model: { field: 'model', label: '模型' }
+}
+
+// 设置用量记录表结构
+function setupAccountingTable(ctx) {
+  ctx.model.extend('chatModelGeneration', {
+    id: 'unsigned',
+    // 请求完成的时间
+    time: 'timestamp',
+    // 请求完成的日期(YYYY-MM-DD)，便于按日统计
+    date: 'string',
+    // 形如 平台:用户ID
+    userId: 'string',
+    // 形如 平台:频道ID，私聊为空
+    channelId: 'string',
+    // 提供方类型，如 openai
+    provider: 'string',
+    // 实际使用的模型名称
+    model: 'string',
+    promptTokens: 'integer',
+    completionTokens: 'integer',
+    // 请求耗时(毫秒)
+    latency: 'integer',
+    // 按价格表估算的费用，记录时计算，之后修改价格不影响已有记录
+    cost: 'double'
+  }, {
+    autoInc: true
+  })
+}
+
+/**
+ * 按价格表估算单次请求的费用
+ * @param {Object} pricing - 按模型名称设置的价格，单位为每百万令牌
+ * @param {string} model - 模型名称
+ * @param {{promptTokens: number, completionTokens: number}} usage - 令牌用量
+ * @returns {number} - 估算费用，未设置价格的模型为0
+ */
+function estimateCost(pricing, model, { promptTokens = 0, completionTokens = 0 }) {
+  const price = pricing?.[model]
+  if (!price) return 0
+  return (promptTokens * (price.prompt || 0) + completionTokens * (price.completion || 0)) / 1e6
+}
+
+// 获取指定时区的日期
+function getZonedDate(now, timezone) {
+  const { year, month, day } = getZonedTime(now, timezone)
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+}
+
+// 格式化费用
+function formatCost(cost) {
+  return cost.toFixed(cost >= 1 ? 2 : 4)
+}
+
+/**
+ * 用量记录
+ * 记录每次模型请求的令牌用量、提供方、模型和耗时，并生成统计报表
+ */
+class UsageLedger {
+  constructor(ctx, config) {
+    this.ctx = ctx
+    this.config = config
+  }
+
+  get timezone() {
+    return this.config.usageLimit?.timezone
+  }
+
+  /**
+   * 记录一次模型请求
+   * @param {Object} session - Koishi会话对象，其他插件通过服务发起的请求可以为空
+   * @param {Object} usage - 适配器报告的令牌用量，回退链会补充 provider、modelName 和 latency
+   */
+  async record(session, usage) {
+    const now = new Date()
+    const model = usage.modelName || ''
+    try {
+      await this.ctx.database.create('chatModelGeneration', {
+        time: now,
+        date: getZonedDate(now, this.timezone),
+        userId: session ? `${session.platform}:${session.userId}` : '',
+        channelId: !session || isPrivateSession(session) ? '' : `${session.platform}:${session.channelId}`,
+        provider: usage.provider || '',
+        model,
+        promptTokens: usage.promptTokens || 0,
+        completionTokens: usage.completionTokens || 0,
+        latency: Math.round(usage.latency || 0),
+        cost: estimateCost(this.config.pricing, model, usage)
+      })
+    } catch (error) {
+      this.ctx.logger.error(`记录用量失败: ${error.message}`)
+    }
+  }
+
+  /**
+   * 生成用量统计报表
+   * @param {string} group - 分组方式：day、user、channel 或 model
+   * @param {number} days - 统计最近的天数(含今天)
+   * @returns {Promise<string>}
+   */
+  async report(group, days) {
+    const { field, label } = GROUP_FIELDS[group]
+    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000)
+    const sinceDate = getZonedDate(since, this.timezone)
+
+    const rows = await this.ctx.database
+      .select('chatModelGeneration', { date: { $gte: sinceDate } })
+      .groupBy([field], {
+        requests: row => $.count(row.id),
+        promptTokens: row => $.sum(row.promptTokens),
+        completionTokens: row => $.sum(row.completionTokens),
+        latency: row => $.sum(row.latency),
+        cost: row => $.sum(row.cost)
+      })
+      .execute()
+    if (rows.length === 0) return `最近 ${days} 天没有用量记录`
+
+    // 按日期倒序，其余按令牌用量从多到少
+    if (group === 'day') {
+      rows.sort((a, b) => b.date.localeCompare(a.date))
+    } else {
+      rows.sort((a, b) => (b.promptTokens + b.completionTokens) - (a.promptTokens + a.completionTokens))
+    }
+
+    const total = { requests: 0, promptTokens: 0, completionTokens: 0, latency: 0, cost: 0 }
+    for (const row of rows) {
+      for (const key in total) total[key] += row[key] || 0
+    }
+
+    const format = (name, row) => {
+      const tokens = row.promptTokens + row.completionTokens
+      const latency = Math.round(row.latency / row.requests)
+      return `${name}: ${row.requests} 次请求，令牌 ${tokens} (输入 ${row.promptTokens} / 输出 ${row.completionTokens})，`
+        + `平均耗时 ${latency}ms，费用约 ${formatCost(row.cost)}`
+    }
+
+    const lines = [`最近 ${days} 天用量统计(按${label}):`]
+    for (const row of rows.slice(0, MAX_REPORT_ROWS)) {
+      lines.push(format(row[field] || (group === 'channel' ? '私聊' : '未知'), row))
+    }
+    if (rows.length > MAX_REPORT_ROWS) {
+      lines.push(`……另有 ${rows.length - MAX_REPORT_ROWS} 项未显示`)
+    }
+    lines.push(format('合计', total))
+    return lines.join('\n')
+  }
+}
+
+/**
+ * 注册用量统计命令
+ * @param {Object} ctx - Koishi上下文
+ * @param {Object} config - 插件配置
+ * @param {UsageLedger} ledger - 用量记录
+ */
+function applyAccountingCommands(ctx, config, ledger) {
+  ctx.command('用量统计', '查看模型调用的令牌用量和估算费用', { authority: config.statsAuthority ?? 3 })
+    .option('by', '-b <group:string> 分组方式：day(日期)、user(用户)、channel(频道)、model(模型)，默认为 day')
+    .option('days', '-d <days:posint> 统计最近的天数，默认为 7')
+    .action(async ({ options }) => {
+      const group = options.by || 'day'
+      if (!GROUP_FIELDS[group]) return '分组方式只能是 day、user、channel 或 model'
+      return ledger.report(group, options.days || 7)
+    })
+}
+
+module.exports = {
+  setupAccountingTable,
+  estimateCost,
+  UsageLedger,
+  applyAccountingCommands
+}
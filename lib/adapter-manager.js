@@ -0,0 +1,185 @@
+const { Semaphore } = require('./queue')
+
+// 会影响模型适配器的配置项，修改这些配置时热替换适配器而不重启插件
+const ADAPTER_CONFIG_KEYS = [
+  'modelType',
+  'apiKey',
+  'apiEndpoint',
+  'modelName',
+  'temperature',
+  'generation',
+  'customModelAdapter',
+  'claude',
+  'local',
+  'providers',
+  'providerCooldown',
+  'maxRetries',
+  'retryDelay'
+]
+
+// 健康检查的超时时间(秒)
+const HEALTH_CHECK_TIMEOUT = 15
+
+/**
+ * 模型适配器管理器
+ * 持有当前使用的适配器(提供方回退链)，并对外提供与单个适配器相同的接口。
+ * 配置更新时先创建并检查新的适配器，成功后再替换，
+ * 旧的适配器在进行中的请求全部结束后才会被清理。
+ */
+class AdapterManager {
+  /**
+   * @param {Object} ctx - Koishi上下文
+   * @param {Object} config - 插件配置
+   * @param {Function} createAdapter - 根据配置创建适配器的函数
+   */
+  constructor(ctx, config, createAdapter) {
+    this.ctx = ctx
+    this.config = config
+    this.createAdapter = createAdapter
+    this.current = createAdapter(config)
+    // 各适配器进行中的请求
+    this.inflight = new Map()
+    // 限制同时进行的模型请求数
+    this.limiter = new Semaphore(config.maxConcurrency)
+    // 保证配置更新按顺序执行
+    this.reloading = Promise.resolve()
+  }
+
+  get modelName() {
+    return this.current.modelName
+  }
+
+  /**
+   * 使用当前适配器执行请求，请求结束前旧的适配器不会被清理
+   * 同时进行的请求达到上限时，先排队等待空闲名额
+   * @param {Function} request - 接收适配器并返回Promise的函数
+   * @returns {Promise}
+   */
+  async use(request) {
+    await this.limiter.acquire()
+    const adapter = this.current
+    const promise = Promise.resolve().then(() => request(adapter)).finally(() => this.limiter.release())
+
+    const pending = this.inflight.get(adapter) || new Set()
+    pending.add(promise)
+    this.inflight.set(adapter, pending)
+    try {
+      return await promise
+    } finally {
+      pending.delete(promise)
+      if (pending.size === 0) this.inflight.delete(adapter)
+    }
+  }
+
+  // 以下方法与单个适配器的接口相同，使用发起请求时的适配器执行
+  async generateResponse(messages, session, options = {}) {
+    return this.use(adapter => adapter.generateResponse(messages, session, options))
+  }
+
+  async generateToolResponse(messages, session, tools, options = {}) {
+    return this.use(adapter => adapter.generateToolResponse(messages, session, tools, options))
+  }
+
+  async generateStreamResponse(messages, session, onToken, options = {}) {
+    return this.use(adapter => adapter.generateStreamResponse(messages, session, onToken, options))
+  }
+
+  /**
+   * 查询当前适配器可用的模型列表
+   * @returns {Promise<Array>}
+   */
+  async listModels() {
+    return this.current.listModels()
+  }
+
+  /**
+   * 发送一条简短的消息，检查新的配置是否可用
+   * 使用单独创建的适配器，缩短超时时间且不重试，检查失败不会影响正式使用的适配器的提供方状态
+   * @param {Object} config - 新的插件配置
+   */
+  async healthCheck(config) {
+    const probe = this.createAdapter({
+      ...config,
+      responseTimeout: HEALTH_CHECK_TIMEOUT,
+      requestTimeout: HEALTH_CHECK_TIMEOUT,
+      maxRetries: 0
+    })
+    let timer
+    try {
+      // 自定义适配器可能不使用上面的超时配置，另外限制等待时间
+      await Promise.race([
+        probe.generateResponse([{ role: 'user', content: 'ping' }], null, {}),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error('健康检查超时')), HEALTH_CHECK_TIMEOUT * 1000)
+        })
+      ])
+    } finally {
+      clearTimeout(timer)
+      await probe.dispose?.()
+    }
+  }
+
+  /**
+   * 等待适配器进行中的请求结束后清理
+   * @param {Object} adapter - 被替换的适配器
+   */
+  async retire(adapter) {
+    const pending = this.inflight.get(adapter)
+    if (pending?.size) {
+      this.ctx.logger.info(`等待 ${pending.size} 个进行中的请求结束后清理旧的适配器`)
+      // 最长等待一个响应超时时间，避免异常请求导致旧适配器无法清理
+      const timeout = (this.config.responseTimeout || 60) * 1000
+      let timer
+      await Promise.race([
+        Promise.allSettled([...pending]),
+        new Promise((resolve) => { timer = setTimeout(resolve, timeout) })
+      ])
+      clearTimeout(timer)
+    }
+
+    try {
+      await adapter.dispose?.()
+    } catch (error) {
+      this.ctx.logger.warn(`清理旧的适配器失败: ${error.message}`)
+    }
+  }
+
+  /**
+   * 使用新的配置替换适配器
+   * 新适配器创建失败或未通过健康检查时保留原有适配器
+   * @param {Object} config - 新的插件配置
+   * @returns {Promise<boolean>} - 是否替换成功
+   */
+  reload(config) {
+    const task = this.reloading.then(async () => {
+      let adapter
+      try {
+        if (config.healthCheck) await this.healthCheck(config)
+        adapter = this.createAdapter(config)
+      } catch (error) {
+        this.ctx.logger.error(`新的模型配置无效，继续使用原有配置: ${error.message}`)
+        return false
+      }
+
+      const previous = this.current
+      this.current = adapter
+      this.config = config
+      this.ctx.logger.info(`模型配置已更新，当前使用模型: ${adapter.modelName}`)
+      // 不等待旧适配器清理完成，以免阻塞后续的配置更新
+      this.retire(previous)
+      return true
+    })
+    this.reloading = task
+    return task
+  }
+
+  /**
+   * 当插件卸载时清理资源
+   */
+  async dispose() {
+    await this.reloading
+    await this.current.dispose?.()
+  }
+}
+
+module.exports = { AdapterManager, ADAPTER_CONFIG_KEYS }
@@ -0,0 +1,84 @@
+// BM25 的参数
+const K1 = 1.2
+const B = 0.75
+
+// 中日韩文字，按相邻两字切分
+const CJK = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]+/g
+
+// 字母和数字组成的单词
+const WORD = /[a-z0-9_]+/g
+
+/**
+ * 将文本切分为检索用的词
+ * 英文和数字按单词切分，中日韩文字没有分隔符，按相邻两字切分
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  const lower = text.toLowerCase()
+  const tokens = lower.match(WORD) || []
+  for (const run of lower.match(CJK) || []) {
+    if (run.length === 1) {
+      tokens.push(run)
+      continue
+    }
+    for (let i = 0; i < run.length - 1; i++) {
+      tokens.push(run.slice(i, i + 2))
+    }
+  }
+  return tokens
+}
+
+/**
+ * 在内存中构建的 BM25 索引
+ */
+class BM25Index {
+  /**
+   * @param {Array<{id: any, text: string}>} documents - 待索引的文档
+   */
+  constructor(documents) {
+    this.documents = documents.map((doc) => {
+      const tokens = tokenize(doc.text)
+      const freq = new Map()
+      for (const token of tokens) freq.set(token, (freq.get(token) || 0) + 1)
+      return { id: doc.id, freq, length: tokens.length }
+    })
+
+    // 每个词出现在多少篇文档中
+    this.df = new Map()
+    for (const doc of this.documents) {
+      for (const token of doc.freq.keys()) this.df.set(token, (this.df.get(token) || 0) + 1)
+    }
+    this.avgLength = this.documents.reduce((sum, doc) => sum + doc.length, 0) / (this.documents.length || 1)
+  }
+
+  get size() {
+    return this.documents.length
+  }
+
+  /**
+   * 按相关度检索文档
+   * @param {string} query - 查询文本
+   * @param {number} limit - 返回的最大数量
+   * @returns {Array<{id: any, score: number}>} - 按得分从高到低排列，不含得分为0的文档
+   */
+  search(query, limit) {
+    const terms = [...new Set(tokenize(query))]
+    const total = this.documents.length
+    const results = []
+    for (const doc of this.documents) {
+      let score = 0
+      for (const term of terms) {
+        const tf = doc.freq.get(term)
+        if (!tf) continue
+        const df = this.df.get(term)
+        const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5))
+        score += idf * tf * (K1 + 1) / (tf + K1 * (1 - B + B * doc.length / (this.avgLength || 1)))
+      }
+      if (score > 0) results.push({ id: doc.id, score })
+    }
+    return results.sort((a, b) => b.score - a.score).slice(0, limit)
+  }
+}
+
+module.exports = { tokenize, BM25Index }
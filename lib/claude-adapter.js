@@ -1,5 +1,21 @@
-const fetch = require('node-fetch')
-const AbortController = require('abort-controller')
+const { ErrorType, ModelError, toModelError, requestJSON, requestStream, getRequestOptions } = require('./http')
+
+// 未设置最大输出令牌数时使用的默认值
+const DEFAULT_MAX_TOKENS = 4000
+
+// 回复因达到最大令牌数被截断时附加的提示
+const TRUNCATED_NOTICE = '\n\n……(回复过长，已被截断)'
+
+// 缓存断点标记
+const CACHE_CONTROL = { type: 'ephemeral' }
+
+// 在消息内容的最后一个内容块上设置缓存断点
+function withCacheControl(content) {
+  const blocks = typeof content === 'string' ? [{ type: 'text', text: content }] : [...content]
+  if (blocks.length === 0) return content
+  blocks[blocks.length - 1] = { ...blocks[blocks.length - 1], cache_control: CACHE_CONTROL }
+  return blocks
+}
 
 class ClaudeAdapter {
   constructor(ctx, config) {
@@ -7,17 +23,23 @@ class ClaudeAdapter {
     this.config = config
     this.apiKey = config.apiKey
     this.apiEndpoint = config.apiEndpoint || 'https://api.anthropic.com/v1'
-    // Claude模型名称映射
+    // Claude模型名称映射，简称映射到官方的最新别名
     const modelMap = {
-      'claude-3-opus': 'claude-3-opus-20240229',
-      'claude-3-sonnet': 'claude-3-sonnet-20240229',
+      'claude-3-opus': 'claude-3-opus-latest',
+      'claude-3-sonnet': 'claude-3-5-sonnet-latest',
       'claude-3-haiku': 'claude-3-haiku-20240307',
-      'claude-2': 'claude-2.0',
-      'claude-instant': 'claude-instant-1.2'
+      'claude-3.5-sonnet': 'claude-3-5-sonnet-latest',
+      'claude-3.5-haiku': 'claude-3-5-haiku-latest',
+      'claude-3.7-sonnet': 'claude-3-7-sonnet-latest',
+      'claude-sonnet-4': 'claude-sonnet-4-0',
+      'claude-opus-4': 'claude-opus-4-0'
     }
     
-    this.modelName = modelMap[config.modelName] || config.modelName || 'claude-3-sonnet-20240229'
+    this.modelName = modelMap[config.modelName] || config.modelName || 'claude-sonnet-4-0'
     this.temperature = config.temperature ?? 0.7
+    this.generation = config.generation || {}
+    this.options = config.claude || {}
+    this.requestOptions = getRequestOptions(config, 'Claude')
     
     // 验证必要参数
     if (!this.apiKey) {
@@ -28,103 +50,335 @@ class ClaudeAdapter {
     ctx.logger.info(`Claude适配器已初始化，使用模型: ${this.modelName}`)
   }
   
+  /**
+   * 获取请求头
+   * @returns {Object}
+   */
+  getHeaders() {
+    const headers = {
+      'x-api-key': this.apiKey,
+      'anthropic-version': this.options.apiVersion || '2023-06-01'
+    }
+    if (this.options.betas?.length) headers['anthropic-beta'] = this.options.betas.join(',')
+    return headers
+  }
+  
+  /**
+   * 构建请求中的生成参数，Claude 要求必须提供 max_tokens
+   * 开启扩展思考时，接口不允许修改温度和 top_k，且 max_tokens 必须大于思考预算
+   * @param {Object} options - 本次请求的参数覆盖
+   * @returns {Object}
+   */
+  buildParams(options) {
+    const { maxTokens, topP, topK, stop } = this.generation
+    const params = { max_tokens: maxTokens || DEFAULT_MAX_TOKENS }
+    if (stop?.length) params.stop_sequences = stop
+    
+    if (this.options.thinking) {
+      const budget = this.options.thinkingBudget || 2048
+      params.thinking = { type: 'enabled', budget_tokens: budget }
+      if (params.max_tokens <= budget) params.max_tokens = budget + DEFAULT_MAX_TOKENS
+      return params
+    }
+    
+    params.temperature = options.temperature ?? this.temperature
+    if (topP !== undefined) params.top_p = topP
+    if (topK) params.top_k = topK
+    return params
+  }
+  
+  /**
+   * 构建完整的请求体
+   * @param {Array} messages - 对话历史消息
+   * @param {Object} session - Koishi会话对象
+   * @param {Array} tools - 可用的工具定义
+   * @param {Object} options - 本次请求的参数覆盖
+   * @returns {Object}
+   */
+  buildBody(messages, session, tools, options) {
+    const { systemMessages, messages: claudeMessages } = this.formatMessages(messages)
+    
+    // 多条system消息(如对话摘要)合并为一条
+    let system = systemMessages.join('\n\n')
+    // 开启提示缓存时，在系统提示和本轮之前的对话历史末尾设置缓存断点，
+    // 之后的请求可以复用这部分内容。只有第一条固定的系统提示参与缓存，
+    // 之后按本次请求检索的记忆、知识库资料和摘要放在不设断点的内容块中，不影响系统提示的缓存
+    if (this.options.promptCaching && systemMessages.length) {
+      const [prompt, ...dynamic] = systemMessages
+      system = [
+        ...withCacheControl(prompt),
+        ...dynamic.map(text => ({ type: 'text', text }))
+      ]
+    }
+    if (this.options.promptCaching) {
+      const history = claudeMessages[claudeMessages.length - 2]
+      if (history) history.content = withCacheControl(history.content)
+    }
+    
+    return {
+      model: options.modelName || this.modelName,
+      messages: claudeMessages,
+      system,
+      ...this.buildParams(options),
+      metadata: {
+        user_id: session?.userId
+      },
+      ...tools.length ? { tools: this.formatTools(tools) } : {}
+    }
+  }
+  
+  /**
+   * 记录令牌用量，缓存写入和命中的令牌也计入输入令牌
+   * @param {Object} usage - 接口返回的用量
+   * @param {Object} options - 本次请求的参数
+   */
+  reportUsage(usage, options) {
+    const cacheWrite = usage.cache_creation_input_tokens || 0
+    const cacheRead = usage.cache_read_input_tokens || 0
+    const promptTokens = (usage.input_tokens || 0) + cacheWrite + cacheRead
+    this.ctx.logger.debug(`使用了 ${promptTokens} 输入令牌(缓存写入 ${cacheWrite}，缓存命中 ${cacheRead})和 ${usage.output_tokens} 输出令牌`)
+    options.onUsage?.({ promptTokens, completionTokens: usage.output_tokens || 0 })
+  }
+  
+  // 按配置在日志中输出思考过程
+  logThinking(thinking) {
+    if (this.options.logThinking && thinking) {
+      this.ctx.logger.info(`Claude思考过程: ${thinking}`)
+    }
+  }
+  
   /**
    * 将Koishi消息格式转换为Claude格式
    * @param {Array} koishiMessages - Koishi格式的消息数组
-   * @returns {Array} - Claude API格式的消息数组
+   * @returns {Object} - 系统提示列表和Claude API格式的消息数组
    */
   formatMessages(koishiMessages) {
-    // 获取system message (如果有)
-    const systemMessage = koishiMessages.find(msg => msg.role === 'system')?.content || ''
+    // 获取system message (如果有)，第一条为系统提示，之后的为摘要、记忆等附加内容
+    const systemMessages = koishiMessages
+      .filter(msg => msg.role === 'system' && msg.content)
+      .map(msg => msg.content)
     
     // 过滤掉system message，只保留user和assistant消息
     const conversationMessages = koishiMessages.filter(msg => msg.role !== 'system')
     
-    const claudeMessages = conversationMessages.map(msg => ({
-      role: msg.role === 'assistant' ? 'assistant' : 'user',
-      content: msg.content
-    }))
+    const claudeMessages = []
+    for (const msg of conversationMessages) {
+      if (msg.role === 'tool') {
+        // 工具调用结果以user消息中的tool_result块返回，连续的结果合并到同一条消息
+        const block = { type: 'tool_result', tool_use_id: msg.toolCallId, content: msg.content }
+        const last = claudeMessages[claudeMessages.length - 1]
+        if (last?.role === 'user' && Array.isArray(last.content) && last.content[0]?.type === 'tool_result') {
+          last.content.push(block)
+        } else {
+          claudeMessages.push({ role: 'user', content: [block] })
+        }
+      } else if (msg.toolCalls?.length) {
+        // 助手发起的工具调用，开启扩展思考时需要原样带上之前的思考内容块
+        const content = [...msg.thinkingBlocks || []]
+        if (msg.content) content.push({ type: 'text', text: msg.content })
+        for (const call of msg.toolCalls) {
+          content.push({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments })
+        }
+        claudeMessages.push({ role: 'assistant', content })
+      } else {
+        claudeMessages.push({
+          role: msg.role === 'assistant' ? 'assistant' : 'user',
+          content: this.formatContent(msg.content)
+        })
+      }
+    }
     
     return {
-      systemMessage,
+      systemMessages,
       messages: claudeMessages
     }
   }
   
+  /**
+   * 将包含图片的内容片段转换为Claude的内容块
+   * @param {string|Array} content - 纯文本或内容片段数组
+   * @returns {string|Array} - Claude API格式的消息内容
+   */
+  formatContent(content) {
+    if (!Array.isArray(content)) return content
+    return content.map((part) => {
+      if (part.type === 'image' && part.data) {
+        return {
+          type: 'image',
+          source: { type: 'base64', media_type: part.mimeType, data: part.data }
+        }
+      }
+      return { type: 'text', text: part.type === 'image' ? '[图片]' : part.text }
+    })
+  }
+  
+  /**
+   * 将工具定义转换为Claude格式
+   * @param {Array} tools - 工具定义
+   * @returns {Array} - Claude API格式的工具列表
+   */
+  formatTools(tools) {
+    return tools.map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      input_schema: tool.parameters
+    }))
+  }
+  
   /**
    * 生成回复
    * @param {Array} messages - 对话历史消息
    * @param {Object} session - Koishi会话对象
+   * @param {Object} [options] - 本次请求的参数覆盖，如 modelName、temperature，onUsage 用于接收令牌用量
    * @returns {Promise<string>} - 生成的回复文本
    */
-  async generateResponse(messages, session) {
+  async generateResponse(messages, session, options = {}) {
+    const { text } = await this.complete(messages, session, [], options)
+    return text
+  }
+  
+  /**
+   * 生成回复，允许模型调用工具
+   * @param {Array} messages - 对话历史消息
+   * @param {Object} session - Koishi会话对象
+   * @param {Array} tools - 可用的工具定义
+   * @param {Object} [options] - 本次请求的参数覆盖
+   * @returns {Promise<{text: string, toolCalls: Array}>} - 回复文本和模型请求的工具调用
+   */
+  async generateToolResponse(messages, session, tools, options = {}) {
+    return this.complete(messages, session, tools, options)
+  }
+  
+  /**
+   * 发送非流式请求
+   * @param {Array} messages - 对话历史消息
+   * @param {Object} session - Koishi会话对象
+   * @param {Array} [tools] - 可用的工具定义
+   * @param {Object} [options] - 本次请求的参数覆盖
+   * @returns {Promise<{text: string, toolCalls: Array}>}
+   */
+  async complete(messages, session, tools = [], options = {}) {
     this.ctx.logger.debug(`向Claude发送请求，消息数: ${messages.length}`)
     
     try {
-      // 格式化消息为Claude格式
-      const { systemMessage, messages: claudeMessages } = this.formatMessages(messages)
-      
-      // 设置超时
-      const timeout = 60000 // 60秒超时
-      const controller = new AbortController()
-      const timeoutId = setTimeout(() => controller.abort(), timeout)
-      
-      // 构建API请求
-      const response = await fetch(`${this.apiEndpoint}/messages`, {
+      // 构建API请求，可重试的错误会自动重试
+      const data = await requestJSON(this.ctx, `${this.apiEndpoint}/messages`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': this.apiKey,
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-          model: this.modelName,
-          messages: claudeMessages,
-          system: systemMessage,
-          temperature: this.temperature,
-          max_tokens: 4000,
-          metadata: {
-            user_id: session.userId
-          }
-        }),
-        signal: controller.signal
-      })
-      
-      // 清除超时定时器
-      clearTimeout(timeoutId)
-      
-      if (!response.ok) {
-        const error = await response.json().catch(() => ({}))
-        this.ctx.logger.error(`Claude API请求失败: ${response.status} ${response.statusText}`, error)
-        throw new Error(`API请求失败: ${response.status} ${response.statusText}${error.error ? ': ' + error.error : ''}`)
-      }
-      
-      const data = await response.json()
+        headers: this.getHeaders(),
+        body: this.buildBody(messages, session, tools, options)
+      }, this.requestOptions)
       
       // 检查响应格式
-      if (!data.content || !data.content[0] || !data.content[0].text) {
+      if (!Array.isArray(data.content)) {
         this.ctx.logger.error('Claude返回了无效的响应格式', data)
         throw new Error('收到无效的API响应')
       }
       
       // 记录使用情况
-      if (data.usage) {
-        this.ctx.logger.debug(`使用了 ${data.usage.input_tokens} 输入令牌和 ${data.usage.output_tokens} 输出令牌`)
+      if (data.usage) this.reportUsage(data.usage, options)
+      
+      // 拼接所有文本块，思考过程不计入回复
+      let text = data.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('')
+      const toolCalls = data.content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} }))
+      const thinkingBlocks = data.content.filter(block => block.type === 'thinking' || block.type === 'redacted_thinking')
+      this.logThinking(thinkingBlocks.map(block => block.thinking || '').join('\n'))
+      
+      if (data.stop_reason === 'refusal' && !text) {
+        throw new ModelError(ErrorType.CONTENT_FILTER, '模型拒绝了本次请求')
+      }
+      if (data.stop_reason === 'max_tokens') {
+        this.ctx.logger.warn(`Claude的回复达到最大令牌数 ${data.usage?.output_tokens ?? ''}，已被截断`)
+        if (!text && toolCalls.length === 0) {
+          throw new ModelError(ErrorType.BAD_REQUEST, '回复在生成文本前达到最大令牌数，请调大最大令牌数或减小思考预算')
+        }
+        if (text) text = text.trim() + TRUNCATED_NOTICE
+      }
+      
+      if (!text && toolCalls.length === 0) {
+        this.ctx.logger.error('Claude返回了无效的响应格式', data)
+        throw new Error('收到无效的API响应')
       }
       
-      return data.content[0].text.trim()
+      const result = { text: text.trim(), toolCalls }
+      if (toolCalls.length && thinkingBlocks.length) result.thinkingBlocks = thinkingBlocks
+      return result
     } catch (error) {
       this.ctx.logger.error('Claude请求失败:', error)
-      if (error.name === 'AbortError') {
-        throw new Error('请求超时，请稍后再试')
-      } else if (error.message.includes('429')) {
-        throw new Error('请求过于频繁，请稍后再试')
-      } else if (error.message.includes('401')) {
-        throw new Error('API密钥无效或已过期')
-      } else if (error.message.includes('quota')) {
-        throw new Error('API配额已用尽')
+      throw toModelError(error)
+    }
+  }
+  
+  /**
+   * 以流式方式生成回复
+   * @param {Array} messages - 对话历史消息
+   * @param {Object} session - Koishi会话对象
+   * @param {Function} onToken - 每收到一段文本时调用，参数为(增量文本, 当前完整文本)
+   * @param {Object} [options] - 本次请求的参数覆盖
+   * @returns {Promise<string>} - 生成的完整回复文本
+   */
+  async generateStreamResponse(messages, session, onToken, options = {}) {
+    this.ctx.logger.debug(`向Claude发送流式请求，消息数: ${messages.length}`)
+    
+    try {
+      const events = requestStream(this.ctx, `${this.apiEndpoint}/messages`, {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: {
+          ...this.buildBody(messages, session, [], options),
+          stream: true
+        }
+      }, this.requestOptions)
+      
+      let text = ''
+      let thinking = ''
+      let stopReason
+      let usage = {}
+      for await (const { event, data } of events) {
+        const payload = JSON.parse(data)
+        
+        if (event === 'error') {
+          // 流中的错误事件，如 overloaded_error
+          const type = payload.error?.type === 'overloaded_error' ? ErrorType.SERVER : ErrorType.UNKNOWN
+          throw new ModelError(type, `API请求失败: ${payload.error?.type || ''} ${payload.error?.message || ''}`.trim())
+        } else if (event === 'message_start') {
+          usage = { ...payload.message?.usage }
+        } else if (event === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+          text += payload.delta.text
+          await onToken(payload.delta.text, text)
+        } else if (event === 'content_block_delta' && payload.delta?.type === 'thinking_delta') {
+          thinking += payload.delta.thinking
+        } else if (event === 'message_delta') {
+          stopReason = payload.delta?.stop_reason || stopReason
+          if (payload.usage) usage = { ...usage, ...payload.usage }
+        } else if (event === 'message_stop') {
+          break
+        }
       }
-      throw error
+      
+      if (Object.keys(usage).length) this.reportUsage(usage, options)
+      this.logThinking(thinking)
+      
+      if (stopReason === 'refusal' && !text) {
+        throw new ModelError(ErrorType.CONTENT_FILTER, '模型拒绝了本次请求')
+      }
+      if (stopReason === 'max_tokens') {
+        this.ctx.logger.warn(`Claude的回复达到最大令牌数 ${usage.output_tokens ?? ''}，已被截断`)
+        if (!text) {
+          throw new ModelError(ErrorType.BAD_REQUEST, '回复在生成文本前达到最大令牌数，请调大最大令牌数或减小思考预算')
+        }
+        text = text.trim() + TRUNCATED_NOTICE
+        await onToken(TRUNCATED_NOTICE, text)
+      }
+      
+      return text.trim()
+    } catch (error) {
+      this.ctx.logger.error('Claude流式请求失败:', error)
+      throw toModelError(error)
     }
   }
   
@@ -0,0 +1,142 @@
+const { h } = require('koishi')
+
+// 图片在纯文本中的占位符
+const IMAGE_PLACEHOLDER = '[图片]'
+
+/**
+ * 将消息内容解析为模型输入
+ * 不包含图片时返回纯文本；包含图片且开启识图时返回内容片段数组:
+ * [{ type: 'text', text }, { type: 'image', url }]
+ * @param {string} content - 消息内容(Koishi消息元素字符串)
+ * @param {Object} config - 插件配置
+ * @returns {string|Array} - 纯文本或内容片段数组
+ */
+function parseMessageContent(content, config) {
+  const parts = []
+  const maxImages = config.maxImagesPerMessage ?? 4
+
+  const appendText = (text) => {
+    if (!text) return
+    const last = parts[parts.length - 1]
+    if (last?.type === 'text') last.text += text
+    else parts.push({ type: 'text', text })
+  }
+
+  const visit = (elements) => {
+    for (const element of elements) {
+      const { type, attrs, children } = element
+      if (type === 'text') {
+        appendText(attrs.content)
+      } else if (type === 'img' || type === 'image') {
+        const url = attrs.src || attrs.url
+        const imageCount = parts.filter(part => part.type === 'image').length
+        if (config.vision && url && imageCount < maxImages) {
+          parts.push({ type: 'image', url })
+        } else {
+          appendText(IMAGE_PLACEHOLDER)
+        }
+      } else if (type === 'at') {
+        appendText(`@${attrs.name || attrs.id}`)
+      } else if (children?.length) {
+        visit(children)
+      }
+    }
+  }
+
+  visit(h.parse(content))
+
+  // 去除首尾空白
+  const first = parts[0]
+  if (first?.type === 'text') first.text = first.text.trimStart()
+  const last = parts[parts.length - 1]
+  if (last?.type === 'text') last.text = last.text.trimEnd()
+  const result = parts.filter(part => part.type !== 'text' || part.text)
+
+  if (!result.some(part => part.type === 'image')) {
+    return result.map(part => part.text).join('')
+  }
+  return result
+}
+
+/**
+ * 获取消息内容的纯文本形式，图片以占位符表示
+ * @param {string|Array} content - 纯文本或内容片段数组
+ * @returns {string}
+ */
+function contentToText(content) {
+  if (typeof content === 'string') return content
+  if (!Array.isArray(content)) return ''
+  return content
+    .map(part => part.type === 'text' ? part.text : IMAGE_PLACEHOLDER)
+    .join('')
+}
+
+/**
+ * 判断消息内容是否为空
+ * @param {string|Array} content - 纯文本或内容片段数组
+ * @returns {boolean}
+ */
+function isEmptyContent(content) {
+  if (Array.isArray(content)) return content.length === 0
+  return !content
+}
+
+/**
+ * 在消息内容前添加文本前缀
+ * @param {string|Array} content - 纯文本或内容片段数组
+ * @param {string} prefix - 前缀
+ * @returns {string|Array}
+ */
+function prefixContent(content, prefix) {
+  if (typeof content === 'string') return prefix + content
+  const [first, ...rest] = content
+  if (first?.type === 'text') return [{ type: 'text', text: prefix + first.text }, ...rest]
+  return [{ type: 'text', text: prefix }, ...content]
+}
+
+/**
+ * 将多条消息内容合并为一条，各条之间换行分隔
+ * @param {Array<string|Array>} contents - 纯文本或内容片段数组的列表
+ * @returns {string|Array}
+ */
+function joinContents(contents) {
+  if (contents.length === 1) return contents[0]
+  if (contents.every(content => typeof content === 'string')) return contents.join('\n')
+
+  const parts = []
+  contents.forEach((content, index) => {
+    const items = typeof content === 'string' ? [{ type: 'text', text: content }] : content
+    if (index > 0) parts.push({ type: 'text', text: '\n' })
+    for (const part of items) {
+      const last = parts[parts.length - 1]
+      if (part.type === 'text' && last?.type === 'text') last.text += part.text
+      else parts.push({ ...part })
+    }
+  })
+  return parts
+}
+
+/**
+ * 将内容转换为适合长期保存的形式
+ * 上下文中只保存图片的链接，内嵌的 data URL 等无法再次获取的图片替换为占位符
+ * @param {string|Array} content - 纯文本或内容片段数组
+ * @returns {string|Array}
+ */
+function toStorableContent(content) {
+  if (!Array.isArray(content)) return content
+  return content.map((part) => {
+    if (part.type !== 'image') return part
+    if (/^https?:\/\//.test(part.url)) return { type: 'image', url: part.url }
+    return { type: 'text', text: IMAGE_PLACEHOLDER }
+  })
+}
+
+module.exports = {
+  IMAGE_PLACEHOLDER,
+  parseMessageContent,
+  contentToText,
+  isEmptyContent,
+  prefixContent,
+  joinContents,
+  toStorableContent
+}
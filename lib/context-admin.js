@@ -0,0 +1,278 @@
+const { h, Universal } = require('koishi')
+const { getContextKey, getContext, getSummary, saveContext } = require('./context')
+const { contentToText } = require('./content')
+const { renderReply, sendMessages } = require('./reply')
+
+// 上下文中允许出现的消息角色
+const ROLES = ['system', 'user', 'assistant']
+
+// 各角色在展示时使用的名称
+const ROLE_NAMES = {
+  system: '系统',
+  user: '用户',
+  assistant: '助手'
+}
+
+// 查看上下文时每条消息最多显示的字符数
+const PREVIEW_LENGTH = 200
+
+// 拆分 平台:ID 形式的标识
+function splitId(id) {
+  const index = id.indexOf(':')
+  return [id.slice(0, index), id.slice(index + 1)]
+}
+
+/**
+ * 根据命令选项确定要操作的上下文键
+ * 可以直接指定键，或指定用户和频道按当前作用范围计算，未指定的部分使用执行命令者的会话
+ * @param {Object} session - Koishi会话对象
+ * @param {Object} options - 命令选项
+ * @param {string} scope - 上下文作用范围
+ * @returns {string}
+ */
+function resolveContextKey(session, options, scope) {
+  if (options.key) return options.key
+  const target = { platform: session.platform, userId: session.userId, channelId: session.channelId }
+  if (options.user) [target.platform, target.userId] = splitId(options.user)
+  if (options.channel) [target.platform, target.channelId] = splitId(options.channel)
+  return getContextKey(target, scope)
+}
+
+/**
+ * 创建代表上下文所属用户的会话
+ * 重新生成回复时按该会话选择预设、检查限额和检索记忆，而不是使用执行命令者的身份。
+ * 指定频道而未指定用户时，用户部分使用执行命令者
+ * @param {Object} session - 执行命令的会话
+ * @param {Object} options - 命令选项
+ * @returns {Object} - 未指定目标时返回原会话
+ */
+function createOwnerSession(session, options) {
+  const target = { platform: session.platform, userId: session.userId, channelId: session.channelId, isDirect: session.isDirect }
+  if (options.key) {
+    // 上下文键形如 作用范围:平台:ID，见 getContextKey
+    const [scope, key] = splitId(options.key)
+    const [platform, rest] = splitId(key)
+    target.platform = platform
+    if (scope === 'user') {
+      target.userId = rest
+      target.channelId = `private:${rest}`
+    } else if (scope === 'channel') {
+      target.channelId = rest
+    } else {
+      const index = rest.lastIndexOf(':')
+      target.channelId = rest.slice(0, index)
+      target.userId = rest.slice(index + 1)
+    }
+    target.isDirect = target.channelId === `private:${target.userId}`
+  } else {
+    if (options.user) {
+      [target.platform, target.userId] = splitId(options.user)
+      if (target.isDirect) target.channelId = `private:${target.userId}`
+    }
+    if (options.channel) {
+      [target.platform, target.channelId] = splitId(options.channel)
+      target.isDirect = false
+    }
+  }
+
+  if (target.platform === session.platform && target.userId === session.userId && target.channelId === session.channelId) {
+    return session
+  }
+  return session.bot.session({
+    type: 'message-created',
+    platform: target.platform,
+    user: { id: target.userId },
+    channel: { id: target.channelId, type: target.isDirect ? Universal.Channel.Type.DIRECT : Universal.Channel.Type.TEXT }
+  })
+}
+
+// 截断过长的文本
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length)}...` : text
+}
+
+/**
+ * 将上下文格式化为 Markdown
+ * @param {string} key - 上下文键
+ * @param {Array} context - 上下文历史
+ * @param {string} summary - 早期对话的摘要
+ * @returns {string}
+ */
+function formatMarkdown(key, context, summary) {
+  const lines = [`# 对话上下文 ${key}`]
+  if (summary) lines.push('', '## 早期对话摘要', '', summary)
+  for (const msg of context) {
+    lines.push('', `## ${ROLE_NAMES[msg.role] || msg.role}`, '', contentToText(msg.content))
+  }
+  return lines.join('\n')
+}
+
+// 校验单个内容片段
+function isValidPart(part) {
+  if (part?.type === 'text') return typeof part.text === 'string'
+  if (part?.type === 'image') return typeof part.url === 'string'
+  return false
+}
+
+/**
+ * 解析导入的上下文
+ * 支持导出的JSON对象 { context, summary }，也支持直接提供消息数组
+ * @param {string} text - JSON文本
+ * @returns {{context: Array, summary: string|undefined}}
+ */
+function parseImport(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('无法解析JSON')
+  }
+
+  const context = Array.isArray(data) ? data : data?.context
+  if (!Array.isArray(context)) throw new Error('缺少消息列表')
+  if (data.summary !== undefined && typeof data.summary !== 'string') throw new Error('摘要必须是字符串')
+
+  const messages = context.map((msg, index) => {
+    if (!ROLES.includes(msg?.role)) throw new Error(`第 ${index + 1} 条消息的角色无效`)
+    const valid = typeof msg.content === 'string'
+      || (Array.isArray(msg.content) && msg.content.every(isValidPart))
+    if (!valid) throw new Error(`第 ${index + 1} 条消息的内容无效`)
+    return { role: msg.role, content: msg.content }
+  })
+  return { context: messages, summary: Array.isArray(data) ? undefined : data.summary }
+}
+
+/**
+ * 移除最近的若干轮对话，每轮从一条用户消息开始
+ * @param {Array} context - 上下文历史
+ * @param {number} turns - 要移除的轮数
+ * @returns {{context: Array, removed: number}} - 剩余的上下文和实际移除的轮数
+ */
+function rollbackTurns(context, turns) {
+  let end = context.length
+  let removed = 0
+  for (let i = context.length - 1; i >= 0 && removed < turns; i--) {
+    if (context[i].role === 'user') {
+      end = i
+      removed++
+    }
+  }
+  return { context: context.slice(0, end), removed }
+}
+
+/**
+ * 注册上下文管理命令
+ * @param {Object} ctx - Koishi上下文
+ * @param {Object} config - 插件配置
+ * @param {Function} messageHandler - 消息处理器，用于重新生成回复
+ * @param {ContextQueue} contextQueue - 上下文消息队列
+ * @param {QuotaManager} quota - 使用限额
+ */
+function applyContextCommands(ctx, config, messageHandler, contextQueue, quota) {
+  const authority = config.contextAuthority ?? 3
+
+  // 为命令添加选择目标上下文的选项
+  const command = (def, desc) => ctx.command(def, desc, { authority })
+    .option('user', '-u <user:user> 指定用户')
+    .option('channel', '-c <channel:channel> 指定频道')
+    .option('key', '-k <key:string> 直接指定上下文键')
+
+  ctx.command('上下文', '查看和管理对话上下文', { authority })
+
+  command('上下文.查看', '查看存储的对话上下文')
+    .option('count', '-n <count:posint> 显示最近的消息条数，默认为 10')
+    .action(async ({ session, options }) => {
+      const key = resolveContextKey(session, options, config.contextScope)
+      const context = await getContext(ctx, key)
+      const summary = await getSummary(ctx, key)
+      if (context.length === 0 && !summary) return `上下文 ${key} 为空`
+
+      const count = options.count || 10
+      const lines = [`上下文 ${key}，共 ${context.length} 条消息`]
+      if (summary) lines.push(`摘要: ${truncate(summary, PREVIEW_LENGTH)}`)
+      if (context.length > count) lines.push(`(仅显示最近 ${count} 条)`)
+      context.slice(-count).forEach((msg, index) => {
+        const number = Math.max(context.length - count, 0) + index + 1
+        lines.push(`[${number}] ${ROLE_NAMES[msg.role] || msg.role}: ${truncate(contentToText(msg.content), PREVIEW_LENGTH)}`)
+      })
+      return h.text(lines.join('\n'))
+    })
+
+  command('上下文.导出', '导出对话上下文')
+    .option('format', '-f <format:string> 导出格式：json 或 markdown，默认为 json')
+    .action(async ({ session, options }) => {
+      const format = options.format || 'json'
+      if (!['json', 'markdown'].includes(format)) return '导出格式只能是 json 或 markdown'
+
+      const key = resolveContextKey(session, options, config.contextScope)
+      const context = await getContext(ctx, key)
+      const summary = await getSummary(ctx, key)
+      if (context.length === 0 && !summary) return `上下文 ${key} 为空`
+
+      return h.text(format === 'markdown'
+        ? formatMarkdown(key, context, summary)
+        : JSON.stringify({ id: key, summary, context }, null, 2))
+    })
+
+  command('上下文.导入 <json:text>', '从JSON导入对话上下文，覆盖原有内容')
+    .action(async ({ session, options }, json) => {
+      if (!json) return '请提供要导入的JSON'
+      let data
+      try {
+        data = parseImport(h.unescape(json))
+      } catch (error) {
+        return `导入失败: ${error.message}`
+      }
+
+      const key = resolveContextKey(session, options, config.contextScope)
+      if (!await contextQueue.acquire(key, session, null, false)) return `上下文 ${key} 中排队的消息过多，请稍后再试`
+      try {
+        await saveContext(ctx, key, data.context, data.summary ?? '')
+      } finally {
+        contextQueue.release(key)
+      }
+      return `已导入 ${data.context.length} 条消息到上下文 ${key}`
+    })
+
+  command('上下文.回滚 [turns:posint]', '移除最近的若干轮对话，默认为 1 轮')
+    .action(async ({ session, options }, turns = 1) => {
+      const key = resolveContextKey(session, options, config.contextScope)
+      if (!await contextQueue.acquire(key, session, null, false)) return `上下文 ${key} 中排队的消息过多，请稍后再试`
+      try {
+        const result = rollbackTurns(await getContext(ctx, key), turns)
+        if (result.removed === 0) return `上下文 ${key} 中没有可以回滚的对话`
+
+        await saveContext(ctx, key, result.context)
+        return `已从上下文 ${key} 中移除 ${result.removed} 轮对话`
+      } finally {
+        contextQueue.release(key)
+      }
+    })
+
+  command('上下文.重试', '重新生成最后一条回复')
+    .action(async ({ session, options }) => {
+      const key = resolveContextKey(session, options, config.contextScope)
+      const owner = createOwnerSession(session, options)
+      const exceeded = await quota.check(owner)
+      if (exceeded) return exceeded
+
+      // 与正常对话在同一队列中排队，避免同时修改上下文
+      if (!await contextQueue.acquire(key, owner, null, false)) return `上下文 ${key} 中排队的消息过多，请稍后再试`
+      try {
+        const context = await getContext(ctx, key)
+        const { context: history, removed } = rollbackTurns(context, 1)
+        if (removed === 0) return `上下文 ${key} 中没有可以重试的对话`
+
+        // 以最后一条用户消息重新请求，成功后替换原有的回复
+        const last = context[history.length]
+        const reply = await messageHandler(owner, last.content, undefined, { contextKey: key, history })
+        if (reply) await sendMessages(session, renderReply(session, reply, config))
+      } finally {
+        contextQueue.release(key)
+      }
+    })
+}
+
+module.exports = {
+  applyContextCommands
+}
@@ -0,0 +1,176 @@
+/**
+ * 判断会话是否为私聊
+ * @param {Object} session - Koishi会话对象
+ * @returns {boolean}
+ */
+function isPrivateSession(session) {
+  return session.isDirect ?? session.channelId === session.userId
+}
+
+/**
+ * 根据作用范围计算会话对应的上下文键
+ * user: 每个用户一份，私聊和所有群聊共享
+ * channel: 每个频道一份，群内成员共享同一段对话
+ * user-channel: 每个用户在每个频道各一份
+ * @param {Object} session - Koishi会话对象
+ * @param {string} scope - 上下文作用范围
+ * @returns {string} - 上下文键
+ */
+function getContextKey(session, scope) {
+  const { platform, userId, channelId } = session
+  switch (scope) {
+    case 'channel':
+      return `channel:${platform}:${channelId}`
+    case 'user-channel':
+      return `user-channel:${platform}:${channelId}:${userId}`
+    case 'user':
+    default:
+      return `user:${platform}:${userId}`
+  }
+}
+
+/**
+ * 判断当前会话是否处于多人共享的上下文中
+ * @param {Object} session - Koishi会话对象
+ * @param {string} scope - 上下文作用范围
+ * @returns {boolean}
+ */
+function isSharedContext(session, scope) {
+  return scope === 'channel' && !isPrivateSession(session)
+}
+
+/**
+ * 获取发言者的昵称
+ * @param {Object} session - Koishi会话对象
+ * @returns {string}
+ */
+function getSpeakerName(session) {
+  return session.author?.nick || session.author?.name || session.username || session.userId
+}
+
+// 存储上下文的表
+const TABLE = 'chatModelConversation'
+
+// 旧版本以用户ID为主键的上下文表，只用于迁移
+const LEGACY_TABLE = 'chatModelContext'
+
+// 设置上下文表结构
+function setupContextTable(ctx) {
+  ctx.model.extend(TABLE, {
+    // 上下文键，由作用范围、平台、频道和用户组成
+    id: 'string',
+    // 上下文历史（作为JSON字符串存储）
+    context: 'json',
+    // 早期对话的摘要
+    summary: 'text',
+    // 最后更新时间
+    updatedAt: 'timestamp'
+  }, {
+    primary: 'id'
+  })
+
+  // 保持旧表的结构不变，以便读取其中的记录
+  ctx.model.extend(LEGACY_TABLE, {
+    userId: 'string',
+    context: 'json',
+    updatedAt: 'timestamp'
+  }, {
+    primary: 'userId'
+  })
+}
+
+/**
+ * 从上下文键中取出旧版本使用的用户ID
+ * 旧版本每个用户一份上下文，与 user 作用范围对应
+ * @param {string} id - 上下文键
+ * @returns {string|null} - 不是 user 作用范围时返回null
+ */
+function getLegacyUserId(id) {
+  const match = /^user:[^:]*:(.+)$/.exec(id)
+  return match ? match[1] : null
+}
+
+// 将旧表中的上下文迁移到新的键下，没有旧记录时返回空数组
+async function migrateLegacyContext(ctx, id) {
+  const userId = getLegacyUserId(id)
+  if (!userId) return []
+
+  const records = await ctx.database.get(LEGACY_TABLE, { userId })
+  if (!records.length) return []
+
+  const context = records[0].context || []
+  await ctx.database.create(TABLE, { id, context, summary: '', updatedAt: new Date() })
+  await ctx.database.remove(LEGACY_TABLE, { userId })
+  ctx.logger.info(`已将用户 ${userId} 的旧版上下文迁移到 ${id}`)
+  return context
+}
+
+// 获取上下文，首次读取时迁移旧版本的记录
+async function getContext(ctx, id) {
+  try {
+    const record = await ctx.database.get(TABLE, { id })
+    if (record && record.length > 0) {
+      return record[0].context || []
+    }
+    return await migrateLegacyContext(ctx, id)
+  } catch (error) {
+    ctx.logger.error(`无法从数据库读取上下文: ${error.message}`)
+  }
+  return []
+}
+
+// 获取早期对话的摘要
+async function getSummary(ctx, id) {
+  try {
+    const record = await ctx.database.get(TABLE, { id }, ['summary'])
+    if (record && record.length > 0) {
+      return record[0].summary || ''
+    }
+  } catch (error) {
+    ctx.logger.error(`无法从数据库读取摘要: ${error.message}`)
+  }
+  return ''
+}
+
+// 保存上下文，summary 未提供时保持原有摘要不变
+async function saveContext(ctx, id, context, summary) {
+  const now = new Date().getTime()
+  const data = { context, updatedAt: now }
+  if (summary !== undefined) data.summary = summary
+
+  try {
+    // 尝试更新现有记录
+    const records = await ctx.database.get(TABLE, { id })
+
+    if (records && records.length > 0) {
+      await ctx.database.set(TABLE, { id }, data)
+    } else {
+      await ctx.database.create(TABLE, { id, ...data })
+    }
+  } catch (error) {
+    ctx.logger.error(`保存上下文到数据库失败: ${error.message}`)
+  }
+}
+
+// 清除上下文，尚未迁移的旧版记录一并删除
+async function clearContext(ctx, id) {
+  await ctx.database.set(TABLE, { id }, {
+    context: [],
+    summary: '',
+    updatedAt: new Date().getTime()
+  })
+  const userId = getLegacyUserId(id)
+  if (userId) await ctx.database.remove(LEGACY_TABLE, { userId })
+}
+
+module.exports = {
+  isPrivateSession,
+  getContextKey,
+  isSharedContext,
+  getSpeakerName,
+  setupContextTable,
+  getContext,
+  getSummary,
+  saveContext,
+  clearContext
+}
@@ -0,0 +1,148 @@
+const { requestJSON, getRequestOptions } = require('./http')
+
+// 各接口类型的默认地址
+const DEFAULT_ENDPOINTS = {
+  openai: 'https://api.openai.com/v1',
+  gemini: 'https://generativelanguage.googleapis.com/v1beta',
+  ollama: 'http://127.0.0.1:11434'
+}
+
+// 各接口类型默认使用的嵌入模型
+const DEFAULT_MODELS = {
+  openai: 'text-embedding-3-small',
+  gemini: 'text-embedding-004',
+  ollama: 'nomic-embed-text'
+}
+
+// 根据对话模型的类型推断嵌入接口，Claude 和自定义模型没有可以沿用的嵌入接口
+function getDefaultApi(config) {
+  switch (config.modelType) {
+    case 'gemini': return 'gemini'
+    case 'local': return config.local?.api === 'ollama' ? 'ollama' : 'openai'
+    case 'claude':
+    case 'custom': return null
+    default: return 'openai'
+  }
+}
+
+/**
+ * 计算两个向量的余弦相似度
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {number} - 维度不同或含零向量时返回0
+ */
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0
+  let dot = 0
+  let normA = 0
+  let normB = 0
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i]
+    normA += a[i] * a[i]
+    normB += b[i] * b[i]
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0
+}
+
+/**
+ * 文本嵌入
+ * 支持 OpenAI 及兼容接口、Gemini、Ollama，也可以通过模块路径加载自定义的本地嵌入函数。
+ * 未单独配置时沿用对话模型的API密钥和地址
+ */
+class Embedder {
+  /**
+   * @param {Object} ctx - Koishi上下文
+   * @param {Function} getConfig - 返回当前插件配置的函数，对话模型的配置热替换后仍能读到最新的值
+   * @param {Object} [options] - 嵌入配置
+   */
+  constructor(ctx, getConfig, options = {}) {
+    this.ctx = ctx
+    this.getConfig = getConfig
+    this.options = options
+
+    if (options.api === 'custom') {
+      if (!options.customEmbedder) {
+        throw new Error('使用自定义嵌入时必须提供模块路径')
+      }
+      const exported = require(options.customEmbedder)
+      this.customEmbed = typeof exported === 'function' ? exported : exported.embed
+      if (typeof this.customEmbed !== 'function') {
+        throw new Error('自定义嵌入模块必须导出 embed 函数')
+      }
+    }
+  }
+
+  /**
+   * 按当前的插件配置确定嵌入接口、密钥、地址和模型
+   * @returns {{api: string, apiKey: string, apiEndpoint: string, model: string, requestOptions: Object}}
+   */
+  resolve() {
+    const config = this.getConfig()
+    const { options } = this
+    const api = options.api || getDefaultApi(config)
+    if (!api) {
+      throw new Error(`${config.modelType} 模型没有嵌入接口，请在嵌入配置中指定接口类型`)
+    }
+
+    return {
+      api,
+      apiKey: options.apiKey || config.apiKey,
+      // 单独指定接口类型时不沿用对话模型的地址
+      apiEndpoint: options.apiEndpoint || (options.api ? '' : config.apiEndpoint) || DEFAULT_ENDPOINTS[api],
+      model: options.model || DEFAULT_MODELS[api] || 'custom',
+      requestOptions: getRequestOptions(config, '嵌入')
+    }
+  }
+
+  // 当前使用的嵌入模型，用于区分不同模型计算的向量
+  get model() {
+    return this.resolve().model
+  }
+
+  /**
+   * 计算文本的嵌入向量
+   * @param {Array<string>} texts - 待嵌入的文本
+   * @returns {Promise<Array<Array<number>>>} - 与输入顺序一致的向量
+   */
+  async embed(texts) {
+    if (texts.length === 0) return []
+    const { api, apiKey, apiEndpoint, model, requestOptions } = this.resolve()
+
+    switch (api) {
+      case 'custom':
+        return this.customEmbed(texts)
+      case 'gemini': {
+        const data = await requestJSON(this.ctx, `${apiEndpoint}/models/${model}:batchEmbedContents?key=${apiKey}`, {
+          method: 'POST',
+          body: {
+            requests: texts.map(text => ({
+              model: `models/${model}`,
+              content: { parts: [{ text }] }
+            }))
+          }
+        }, requestOptions)
+        return (data.embeddings || []).map(item => item.values)
+      }
+      case 'ollama': {
+        const data = await requestJSON(this.ctx, `${apiEndpoint}/api/embed`, {
+          method: 'POST',
+          body: { model, input: texts }
+        }, requestOptions)
+        return data.embeddings || []
+      }
+      default: {
+        const headers = apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}
+        const data = await requestJSON(this.ctx, `${apiEndpoint}/embeddings`, {
+          method: 'POST',
+          headers,
+          body: { model, input: texts }
+        }, requestOptions)
+        return (data.data || [])
+          .sort((a, b) => a.index - b.index)
+          .map(item => item.embedding)
+      }
+    }
+  }
+}
+
+module.exports = { Embedder, cosineSimilarity }
@@ -1,5 +1,15 @@
-const fetch = require('node-fetch')
-const AbortController = require('abort-controller')
+const { ErrorType, ModelError, toModelError, requestJSON, requestStream, getRequestOptions } = require('./http')
+
+// 表示回复因安全策略被拦截的结束原因
+const BLOCKED_FINISH_REASONS = ['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'RECITATION']
+
+// 不支持 systemInstruction 的旧模型，系统提示放在第一条用户消息中
+const LEGACY_MODEL = /^(models\/)?gemini-(1\.0-)?pro\b/
+
+// 获取回复中的文本，忽略思考过程
+function getText(parts = []) {
+  return parts.filter(part => part.text && !part.thought).map(part => part.text).join('')
+}
 
 class GeminiAdapter {
   constructor(ctx, config) {
@@ -17,6 +27,8 @@ class GeminiAdapter {
     
     this.modelName = modelMap[config.modelName] || config.modelName || 'gemini-pro'
     this.temperature = config.temperature ?? 0.7
+    this.generation = config.generation || {}
+    this.requestOptions = getRequestOptions(config, 'Gemini')
     
     // 验证必要参数
     if (!this.apiKey) {
@@ -29,103 +41,213 @@ class GeminiAdapter {
   
   /**
    * 将Koishi消息格式转换为Gemini格式
+   * 系统消息通过 systemInstruction 传递，连续的同角色消息合并为一轮
    * @param {Array} koishiMessages - Koishi格式的消息数组
-   * @returns {Array} - Gemini API格式的消息数组
+   * @param {string} model - 本次请求使用的模型
+   * @returns {{systemInstruction: Object|undefined, contents: Array}} - 系统指令和Gemini API格式的对话内容
+   * @throws {ModelError} - 没有用户消息时抛出 badRequest 类型的错误
    */
-  formatMessages(koishiMessages) {
-    // 获取system message (如果有)
-    const systemMessage = koishiMessages.find(msg => msg.role === 'system')?.content || ''
-    
-    // 将系统消息作为用户的第一条消息(Gemini不直接支持system role)
-    let geminiMessages = []
-    
-    if (systemMessage) {
-      geminiMessages.push({
-        role: 'user',
-        parts: [{ text: `系统指令: ${systemMessage}` }]
-      })
-      
-      // 如果只有系统消息，添加一个模型回复，否则会报错
-      geminiMessages.push({
-        role: 'model',
-        parts: [{ text: '我明白了，我会按照指示行动。有什么可以帮助你的吗？' }]
-      })
+  formatMessages(koishiMessages, model) {
+    // 多条system消息(如对话摘要)合并为一条
+    const systemMessage = koishiMessages
+      .filter(msg => msg.role === 'system')
+      .map(msg => msg.content)
+      .join('\n\n')
+    
+    const contents = []
+    // Gemini要求用户和模型的消息交替出现，连续的同角色消息合并到同一轮
+    const append = (role, parts) => {
+      const last = contents[contents.length - 1]
+      if (last?.role === role) {
+        last.parts.push(...parts)
+      } else {
+        contents.push({ role, parts })
+      }
     }
     
-    // 添加用户和助手的消息
-    for (let i = 0; i < koishiMessages.length; i++) {
-      const msg = koishiMessages[i]
-      
-      // 跳过system消息，因为已经处理过了
+    for (const msg of koishiMessages) {
       if (msg.role === 'system') continue
       
-      geminiMessages.push({
-        role: msg.role === 'user' ? 'user' : 'model',
-        parts: [{ text: msg.content }]
-      })
+      if (msg.role === 'tool') {
+        // 工具调用结果
+        append('user', [{ functionResponse: { name: msg.name, response: { content: msg.content } } }])
+      } else if (msg.toolCalls?.length) {
+        // 助手发起的工具调用
+        const parts = msg.content ? [{ text: msg.content }] : []
+        for (const call of msg.toolCalls) {
+          parts.push({ functionCall: { name: call.name, args: call.arguments } })
+        }
+        append('model', parts)
+      } else {
+        append(msg.role === 'user' ? 'user' : 'model', this.formatParts(msg.content))
+      }
+    }
+    
+    // 对话需要以用户消息开始，裁剪上下文后残留在开头的模型回复直接丢弃
+    while (contents.length && contents[0].role !== 'user') {
+      this.ctx.logger.debug('丢弃位于对话开头的模型回复')
+      contents.shift()
+    }
+    
+    // 接口不接受空的对话，没有用户消息时不发送请求，避免替用户编造发言
+    if (contents.length === 0) {
+      throw new ModelError(ErrorType.BAD_REQUEST, '消息中没有用户消息，Gemini不接受空的对话')
+    }
+    
+    // 旧模型不支持 systemInstruction
+    if (systemMessage && LEGACY_MODEL.test(model)) {
+      contents[0].parts.unshift({ text: `系统指令: ${systemMessage}` })
+      return { systemInstruction: undefined, contents }
+    }
+    
+    return {
+      systemInstruction: systemMessage ? { parts: [{ text: systemMessage }] } : undefined,
+      contents
+    }
+  }
+  
+  /**
+   * 检查请求或回复是否被安全策略拦截
+   * @param {Object} data - 接口响应或流式数据块
+   * @throws {ModelError} - 被拦截时抛出内容过滤错误
+   */
+  checkBlocked(data) {
+    const blockReason = data.promptFeedback?.blockReason
+    if (blockReason) {
+      throw new ModelError(ErrorType.CONTENT_FILTER, `请求被安全策略拦截: ${blockReason}`)
+    }
+    
+    const candidate = data.candidates?.[0]
+    if (BLOCKED_FINISH_REASONS.includes(candidate?.finishReason)) {
+      const categories = (candidate.safetyRatings || [])
+        .filter(rating => rating.blocked)
+        .map(rating => rating.category)
+      const detail = categories.length ? ` (${categories.join(', ')})` : ''
+      throw new ModelError(ErrorType.CONTENT_FILTER, `回复被安全策略拦截: ${candidate.finishReason}${detail}`)
     }
+  }
+  
+  /**
+   * 构建请求中的生成参数和安全设置
+   * @param {Object} options - 本次请求的参数覆盖
+   * @returns {{generationConfig: Object, safetySettings?: Array}}
+   */
+  buildParams(options) {
+    const { maxTokens, topP, topK, stop, presencePenalty, frequencyPenalty, seed, safetySettings = {} } = this.generation
+    const generationConfig = { temperature: options.temperature ?? this.temperature }
+    if (maxTokens) generationConfig.maxOutputTokens = maxTokens
+    if (topP !== undefined) generationConfig.topP = topP
+    if (topK) generationConfig.topK = topK
+    if (stop?.length) generationConfig.stopSequences = stop
+    if (presencePenalty !== undefined) generationConfig.presencePenalty = presencePenalty
+    if (frequencyPenalty !== undefined) generationConfig.frequencyPenalty = frequencyPenalty
+    if (seed !== undefined) generationConfig.seed = seed
     
-    // 确保消息数组是以用户消息开始，并交替出现
-    if (geminiMessages.length === 0 || geminiMessages[0].role !== 'user') {
-      this.ctx.logger.warn('消息格式不正确，已调整为Gemini的要求')
-      // 添加一个空的用户消息
-      geminiMessages.unshift({
-        role: 'user',
-        parts: [{ text: '你好' }]
-      })
+    // 未设置的类别使用接口默认的屏蔽阈值
+    const settings = Object.entries(safetySettings)
+      .filter(([, threshold]) => threshold)
+      .map(([category, threshold]) => ({ category, threshold }))
+    return settings.length ? { generationConfig, safetySettings: settings } : { generationConfig }
+  }
+  
+  /**
+   * 将包含图片的内容片段转换为Gemini的parts
+   * @param {string|Array} content - 纯文本或内容片段数组
+   * @returns {Array} - Gemini API格式的parts
+   */
+  formatParts(content) {
+    if (!Array.isArray(content)) return [{ text: content }]
+    return content.map((part) => {
+      if (part.type === 'image' && part.data) {
+        return { inline_data: { mime_type: part.mimeType, data: part.data } }
+      }
+      return { text: part.type === 'image' ? '[图片]' : part.text }
+    })
+  }
+  
+  /**
+   * 将工具定义转换为Gemini格式
+   * @param {Array} tools - 工具定义
+   * @returns {Array} - Gemini API格式的工具列表
+   */
+  formatTools(tools) {
+    // Gemini的参数定义只支持OpenAPI Schema的子集，去除不支持的字段
+    const sanitize = (schema) => {
+      if (Array.isArray(schema)) return schema.map(sanitize)
+      if (!schema || typeof schema !== 'object') return schema
+      const result = {}
+      for (const [key, value] of Object.entries(schema)) {
+        if (key === '$schema' || key === 'additionalProperties') continue
+        result[key] = sanitize(value)
+      }
+      return result
     }
     
-    return geminiMessages
+    return [{
+      functionDeclarations: tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        parameters: sanitize(tool.parameters)
+      }))
+    }]
   }
   
   /**
    * 生成回复
    * @param {Array} messages - 对话历史消息
    * @param {Object} session - Koishi会话对象
+   * @param {Object} [options] - 本次请求的参数覆盖，如 modelName、temperature，onUsage 用于接收令牌用量
    * @returns {Promise<string>} - 生成的回复文本
    */
-  async generateResponse(messages, session) {
+  async generateResponse(messages, session, options = {}) {
+    const { text } = await this.complete(messages, session, [], options)
+    return text
+  }
+  
+  /**
+   * 生成回复，允许模型调用工具
+   * @param {Array} messages - 对话历史消息
+   * @param {Object} session - Koishi会话对象
+   * @param {Array} tools - 可用的工具定义
+   * @param {Object} [options] - 本次请求的参数覆盖
+   * @returns {Promise<{text: string, toolCalls: Array}>} - 回复文本和模型请求的工具调用
+   */
+  async generateToolResponse(messages, session, tools, options = {}) {
+    return this.complete(messages, session, tools, options)
+  }
+  
+  /**
+   * 发送非流式请求
+   * @param {Array} messages - 对话历史消息
+   * @param {Object} session - Koishi会话对象
+   * @param {Array} [tools] - 可用的工具定义
+   * @param {Object} [options] - 本次请求的参数覆盖
+   * @returns {Promise<{text: string, toolCalls: Array}>}
+   */
+  async complete(messages, session, tools = [], options = {}) {
     this.ctx.logger.debug(`向Gemini发送请求，消息数: ${messages.length}`)
     
     try {
       // 格式化消息为Gemini格式
-      const geminiMessages = this.formatMessages(messages)
-      
-      // 设置超时
-      const timeout = 60000 // 60秒超时
-      const controller = new AbortController()
-      const timeoutId = setTimeout(() => controller.abort(), timeout)
+      const model = options.modelName || this.modelName
+      const { systemInstruction, contents } = this.formatMessages(messages, model)
       
       // 构建API请求URL
-      const apiUrl = `${this.apiEndpoint}/models/${this.modelName}:generateContent?key=${this.apiKey}`
+      const apiUrl = `${this.apiEndpoint}/models/${model}:generateContent?key=${this.apiKey}`
       
-      const response = await fetch(apiUrl, {
+      // 可重试的错误会自动重试
+      const data = await requestJSON(this.ctx, apiUrl, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          contents: geminiMessages,
-          generationConfig: {
-            temperature: this.temperature,
-            maxOutputTokens: 2048,
-            topP: 0.95,
-            topK: 40
-          }
-        }),
-        signal: controller.signal
-      })
+        body: {
+          systemInstruction,
+          contents,
+          ...this.buildParams(options),
+          ...tools.length ? { tools: this.formatTools(tools) } : {}
+        }
+      }, this.requestOptions)
       
-      // 清除超时定时器
-      clearTimeout(timeoutId)
-      
-      if (!response.ok) {
-        const error = await response.json().catch(() => ({}))
-        this.ctx.logger.error(`Gemini API请求失败: ${response.status} ${response.statusText}`, error)
-        throw new Error(`API请求失败: ${response.status} ${response.statusText}${error.error ? ': ' + error.error.message : ''}`)
-      }
-      
-      const data = await response.json()
+      // 请求或回复被安全策略屏蔽
+      this.checkBlocked(data)
       
       // 检查响应格式
       if (!data.candidates || !data.candidates[0] || !data.candidates[0].content || !data.candidates[0].content.parts) {
@@ -133,29 +255,85 @@ class GeminiAdapter {
         throw new Error('收到无效的API响应')
       }
       
-      // 如果响应中包含屏蔽标记，返回相应提示
-      if (data.candidates[0].finishReason === 'SAFETY') {
-        return '抱歉，您的请求触发了内容安全策略，我无法提供相关内容。'
-      }
-      
       // 记录使用情况
       if (data.usageMetadata) {
         this.ctx.logger.debug(`使用了 ${data.usageMetadata.promptTokenCount} 提示令牌和 ${data.usageMetadata.candidatesTokenCount} 回复令牌`)
+        options.onUsage?.({ promptTokens: data.usageMetadata.promptTokenCount || 0, completionTokens: data.usageMetadata.candidatesTokenCount || 0 })
       }
       
-      return data.candidates[0].content.parts[0].text.trim()
+      const { parts } = data.candidates[0].content
+      const text = getText(parts)
+      // Gemini的函数调用没有ID，按顺序生成
+      const toolCalls = parts
+        .filter(part => part.functionCall)
+        .map((part, index) => ({
+          id: `call_${index}`,
+          name: part.functionCall.name,
+          arguments: part.functionCall.args || {}
+        }))
+      
+      return { text: text.trim(), toolCalls }
     } catch (error) {
       this.ctx.logger.error('Gemini请求失败:', error)
-      if (error.name === 'AbortError') {
-        throw new Error('请求超时，请稍后再试')
-      } else if (error.message.includes('429')) {
-        throw new Error('请求过于频繁，请稍后再试')
-      } else if (error.message.includes('400') && error.message.includes('Invalid API key')) {
-        throw new Error('API密钥无效')
-      } else if (error.message.includes('quota')) {
-        throw new Error('API配额已用尽')
+      throw toModelError(error)
+    }
+  }
+  
+  /**
+   * 以流式方式生成回复
+   * @param {Array} messages - 对话历史消息
+   * @param {Object} session - Koishi会话对象
+   * @param {Function} onToken - 每收到一段文本时调用，参数为(增量文本, 当前完整文本)
+   * @param {Object} [options] - 本次请求的参数覆盖
+   * @returns {Promise<string>} - 生成的完整回复文本
+   */
+  async generateStreamResponse(messages, session, onToken, options = {}) {
+    this.ctx.logger.debug(`向Gemini发送流式请求，消息数: ${messages.length}`)
+    
+    // 格式化消息为Gemini格式
+    const model = options.modelName || this.modelName
+    const { systemInstruction, contents } = this.formatMessages(messages, model)
+    
+    try {
+      // alt=sse 使接口以 Server-Sent Events 格式返回
+      const apiUrl = `${this.apiEndpoint}/models/${model}:streamGenerateContent?alt=sse&key=${this.apiKey}`
+      
+      const events = requestStream(this.ctx, apiUrl, {
+        method: 'POST',
+        body: {
+          systemInstruction,
+          contents,
+          ...this.buildParams(options)
+        }
+      }, this.requestOptions)
+      
+      let text = ''
+      let usage
+      for await (const { data } of events) {
+        const chunk = JSON.parse(data)
+        const candidate = chunk.candidates?.[0]
+        if (chunk.usageMetadata) usage = chunk.usageMetadata
+        
+        // 请求或回复被安全策略屏蔽
+        this.checkBlocked(chunk)
+        
+        const delta = getText(candidate?.content?.parts)
+        if (delta) {
+          text += delta
+          await onToken(delta, text)
+        }
       }
-      throw error
+      
+      // 记录使用情况
+      if (usage) {
+        this.ctx.logger.debug(`使用了 ${usage.promptTokenCount} 提示令牌和 ${usage.candidatesTokenCount} 回复令牌`)
+        options.onUsage?.({ promptTokens: usage.promptTokenCount || 0, completionTokens: usage.candidatesTokenCount || 0 })
+      }
+      
+      return text.trim()
+    } catch (error) {
+      this.ctx.logger.error('Gemini流式请求失败:', error)
+      throw toModelError(error)
     }
   }
   
@@ -0,0 +1,312 @@
+const fetch = require('node-fetch')
+const AbortController = require('abort-controller')
+const { parseSSE, parseNDJSON } = require('./sse')
+
+// 错误类型
+const ErrorType = {
+  AUTH: 'auth',
+  RATE_LIMIT: 'rateLimit',
+  QUOTA: 'quota',
+  TIMEOUT: 'timeout',
+  CONTENT_FILTER: 'contentFilter',
+  SERVER: 'server',
+  NETWORK: 'network',
+  BAD_REQUEST: 'badRequest',
+  UNKNOWN: 'unknown'
+}
+
+// 可以原样重试同一请求的错误类型
+const RETRYABLE_TYPES = [ErrorType.RATE_LIMIT, ErrorType.TIMEOUT, ErrorType.SERVER, ErrorType.NETWORK]
+
+// 视为网络故障的系统错误码
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE']
+
+// 各类错误默认向用户展示的提示
+const DEFAULT_ERROR_MESSAGES = {
+  [ErrorType.AUTH]: '模型服务认证失败，请联系管理员检查API密钥',
+  [ErrorType.RATE_LIMIT]: '请求过于频繁，请稍后再试',
+  [ErrorType.QUOTA]: 'API额度已用尽，请联系管理员',
+  [ErrorType.TIMEOUT]: '响应超时，请稍后再试',
+  [ErrorType.CONTENT_FILTER]: '抱歉，您的请求触发了内容安全策略，我无法提供相关内容。',
+  [ErrorType.SERVER]: '模型服务暂时不可用，请稍后再试',
+  [ErrorType.NETWORK]: '无法连接到模型服务，请稍后再试',
+  [ErrorType.BAD_REQUEST]: '请求无法被模型处理，可以尝试清除上下文后重试',
+  [ErrorType.UNKNOWN]: '抱歉，生成回复时发生错误，请稍后再试'
+}
+
+// 重试等待时间的上限，服务端要求等待更久时不再重试
+const MAX_RETRY_DELAY = 30 * 1000
+
+/**
+ * 模型接口错误
+ * type 表示错误类型，上层据此决定是否重试、切换提供方以及向用户展示的提示
+ */
+class ModelError extends Error {
+  /**
+   * @param {string} type - 错误类型，见 ErrorType
+   * @param {string} message - 错误信息
+   * @param {Object} [extra]
+   * @param {number} [extra.status] - HTTP状态码
+   * @param {number} [extra.retryAfter] - 服务端要求的等待时间(毫秒)
+   * @param {Error} [extra.cause] - 原始错误
+   */
+  constructor(type, message, { status, retryAfter, cause } = {}) {
+    super(message)
+    this.name = 'ModelError'
+    this.type = type
+    this.status = status
+    this.retryAfter = retryAfter
+    this.cause = cause
+  }
+
+  get retryable() {
+    return RETRYABLE_TYPES.includes(this.type)
+  }
+}
+
+/**
+ * 解析 Retry-After 响应头
+ * @param {Object} headers - 响应头
+ * @returns {number|undefined} - 等待时间(毫秒)
+ */
+function parseRetryAfter(headers) {
+  const ms = Number(headers.get('retry-after-ms'))
+  if (ms > 0) return ms
+
+  const value = headers.get('retry-after')
+  if (!value) return
+  const seconds = Number(value)
+  if (!Number.isNaN(seconds)) return Math.max(seconds, 0) * 1000
+  const date = Date.parse(value)
+  if (!Number.isNaN(date)) return Math.max(date - Date.now(), 0)
+}
+
+/**
+ * 根据HTTP响应判断错误类型
+ * @param {number} status - HTTP状态码
+ * @param {Object} body - 解析后的响应体
+ * @returns {string} - 错误类型
+ */
+function classifyResponse(status, body) {
+  const error = body?.error || {}
+  const detail = `${error.type || ''} ${error.code || ''} ${error.status || ''} ${error.message || ''}`.toLowerCase()
+
+  if (/content_filter|content_policy|safety/.test(detail)) return ErrorType.CONTENT_FILTER
+  if (status === 401 || status === 403 || /api key|api_key|authentication|permission/.test(detail)) return ErrorType.AUTH
+  if (status === 402 || /insufficient_quota|billing|credit balance|exceeded your current quota/.test(detail)) return ErrorType.QUOTA
+  if (status === 429) return ErrorType.RATE_LIMIT
+  if (status === 408) return ErrorType.TIMEOUT
+  if (status >= 500) return ErrorType.SERVER
+  if (status >= 400) return ErrorType.BAD_REQUEST
+  return ErrorType.UNKNOWN
+}
+
+/**
+ * 将底层错误转换为模型接口错误
+ * @param {Error} error - 原始错误
+ * @returns {ModelError}
+ */
+function toModelError(error) {
+  if (error instanceof ModelError) return error
+  if (error.name === 'AbortError') {
+    return new ModelError(ErrorType.TIMEOUT, '请求超时', { cause: error })
+  }
+  if (NETWORK_ERROR_CODES.includes(error.code)) {
+    return new ModelError(ErrorType.NETWORK, `网络错误: ${error.message}`, { cause: error })
+  }
+  return new ModelError(ErrorType.UNKNOWN, error.message, { cause: error })
+}
+
+// 读取失败响应的内容并转换为错误
+async function responseError(response) {
+  const text = await response.text().catch(() => '')
+  let body
+  try {
+    body = JSON.parse(text)
+  } catch {
+    body = { error: { message: text.slice(0, 200) } }
+  }
+  // 部分接口以数组形式返回错误
+  if (Array.isArray(body)) body = body[0]
+
+  const detail = body?.error?.message || (typeof body?.error === 'string' ? body.error : '')
+  return new ModelError(
+    classifyResponse(response.status, body),
+    `API请求失败: ${response.status} ${response.statusText}${detail ? ': ' + detail : ''}`,
+    { status: response.status, retryAfter: parseRetryAfter(response.headers) }
+  )
+}
+
+/**
+ * 计算第 attempt 次重试前的等待时间：指数退避并加入随机抖动，服务端指定了等待时间时以其为准
+ * @param {number} attempt - 重试次数，从0开始
+ * @param {number} baseDelay - 基础等待时间(毫秒)
+ * @param {number} [retryAfter] - 服务端要求的等待时间(毫秒)
+ * @returns {number}
+ */
+function getRetryDelay(attempt, baseDelay, retryAfter) {
+  if (retryAfter !== undefined) return retryAfter
+  const delay = Math.min(baseDelay * 2 ** attempt, MAX_RETRY_DELAY)
+  return delay / 2 + Math.random() * delay / 2
+}
+
+/**
+ * 发送请求，可重试的错误按退避策略重试
+ * 每次尝试在 timeout 内未收到响应头时中止并重试；收到响应头后只受总时间上限 deadline 的限制，
+ * 较长的流式回复只要在上限内完成就不会被中止
+ * @param {Object} ctx - Koishi上下文
+ * @param {string} url - 请求地址
+ * @param {Object} init - fetch 参数
+ * @param {Object} options - 请求选项，见 requestJSON
+ * @returns {Promise<{response: Object, timer: any}>} - 成功的响应，以及需要在读取完毕后清除的超时定时器
+ */
+async function send(ctx, url, init, options) {
+  const { timeout = 60000, deadline = 300000, retries = 0, retryDelay = 1000, label = '模型' } = options
+  const endTime = Date.now() + Math.max(deadline, timeout)
+
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), endTime - Date.now())
+    const connectTimer = setTimeout(() => controller.abort(), timeout)
+    let error
+    try {
+      const response = await fetch(url, { ...init, signal: controller.signal })
+      clearTimeout(connectTimer)
+      if (response.ok) return { response, timer }
+      error = await responseError(response)
+    } catch (cause) {
+      error = toModelError(cause)
+    }
+    clearTimeout(connectTimer)
+    clearTimeout(timer)
+
+    const delay = getRetryDelay(attempt, retryDelay, error.retryAfter)
+    if (!error.retryable || attempt >= retries || delay > MAX_RETRY_DELAY) throw error
+    // 剩余时间不足以完成下一次尝试时不再重试
+    if (Date.now() + delay >= endTime) throw error
+
+    ctx.logger.warn(`${label}请求失败，${Math.round(delay / 100) / 10} 秒后进行第 ${attempt + 1} 次重试: ${error.message}`)
+    await new Promise(resolve => setTimeout(resolve, delay))
+  }
+}
+
+/**
+ * 发送JSON请求并解析响应
+ * @param {Object} ctx - Koishi上下文
+ * @param {string} url - 请求地址
+ * @param {Object} init - fetch 参数，body 为对象时自动序列化
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - 每次尝试等待响应头的超时时间(毫秒)，超时后按 retries 重试
+ * @param {number} [options.deadline] - 包括重试和读取完整响应在内的总时间上限(毫秒)
+ * @param {number} [options.retries] - 最大重试次数
+ * @param {number} [options.retryDelay] - 首次重试的基础等待时间(毫秒)
+ * @param {string} [options.label] - 日志中使用的名称
+ * @returns {Promise<Object>} - 解析后的响应体
+ */
+async function requestJSON(ctx, url, init, options = {}) {
+  const { response, timer } = await send(ctx, url, withJSONBody(init), options)
+  try {
+    return await response.json()
+  } catch (error) {
+    throw toModelError(error)
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+/**
+ * 发送请求并以 Server-Sent Events 形式读取响应
+ * 只有建立连接阶段的错误会重试，开始接收后出错直接抛出
+ * @param {Object} ctx - Koishi上下文
+ * @param {string} url - 请求地址
+ * @param {Object} init - fetch 参数，body 为对象时自动序列化
+ * @param {Object} [options] - 同 requestJSON，开始接收后只受总时间上限的限制
+ * @returns {AsyncGenerator<{event: string, data: string}>}
+ */
+async function* requestStream(ctx, url, init, options = {}) {
+  const { response, timer } = await send(ctx, url, withJSONBody(init), options)
+  try {
+    yield* parseSSE(response.body)
+  } catch (error) {
+    throw toModelError(error)
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+/**
+ * 发送请求并逐行读取 JSON 响应(NDJSON)，如 Ollama 的原生接口
+ * 重试和超时的处理与 requestStream 相同
+ * @param {Object} ctx - Koishi上下文
+ * @param {string} url - 请求地址
+ * @param {Object} init - fetch 参数，body 为对象时自动序列化
+ * @param {Object} [options] - 同 requestJSON
+ * @returns {AsyncGenerator<Object>}
+ */
+async function* requestNDJSON(ctx, url, init, options = {}) {
+  const { response, timer } = await send(ctx, url, withJSONBody(init), options)
+  try {
+    yield* parseNDJSON(response.body)
+  } catch (error) {
+    throw toModelError(error)
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+// 序列化请求体并设置对应的请求头
+function withJSONBody(init) {
+  if (!init.body || typeof init.body === 'string') return init
+  return {
+    ...init,
+    headers: { 'Content-Type': 'application/json', ...init.headers },
+    body: JSON.stringify(init.body)
+  }
+}
+
+/**
+ * 获取向用户展示的错误提示，不包含原始错误信息
+ * @param {Error} error - 捕获的错误
+ * @param {Object} [messages] - 按错误类型配置的提示，未配置的类型使用默认提示
+ * @returns {string}
+ */
+function describeError(error, messages = {}) {
+  let type = ErrorType.UNKNOWN
+  for (let current = error; current; current = current.cause) {
+    if (current instanceof ModelError) {
+      type = current.type
+      break
+    }
+  }
+  return messages[type] || DEFAULT_ERROR_MESSAGES[type]
+}
+
+/**
+ * 从适配器配置中读取请求选项
+ * 等待响应的超时时间与插件的响应超时时间一致，总时间上限与插件的请求总超时时间一致
+ * @param {Object} config - 适配器配置
+ * @param {string} label - 日志中使用的名称
+ * @returns {Object}
+ */
+function getRequestOptions(config, label) {
+  return {
+    timeout: (config.responseTimeout || 60) * 1000,
+    deadline: (config.requestTimeout || 300) * 1000,
+    retries: config.maxRetries ?? 2,
+    retryDelay: (config.retryDelay ?? 1) * 1000,
+    label
+  }
+}
+
+module.exports = {
+  ErrorType,
+  ModelError,
+  NETWORK_ERROR_CODES,
+  DEFAULT_ERROR_MESSAGES,
+  toModelError,
+  describeError,
+  requestJSON,
+  requestStream,
+  requestNDJSON,
+  getRequestOptions
+}
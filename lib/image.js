@@ -0,0 +1,98 @@
+const fetch = require('node-fetch')
+const AbortController = require('abort-controller')
+const { IMAGE_PLACEHOLDER } = require('./content')
+
+// 各模型普遍支持的图片格式
+const SUPPORTED_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp']
+
+/**
+ * 根据文件头判断图片格式
+ * @param {Buffer} buffer - 图片数据
+ * @returns {string|undefined} - MIME类型
+ */
+function detectMimeType(buffer) {
+  if (buffer.length < 12) return
+  if (buffer[0] === 0x89 && buffer.toString('ascii', 1, 4) === 'PNG') return 'image/png'
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg'
+  if (buffer.toString('ascii', 0, 3) === 'GIF') return 'image/gif'
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp'
+}
+
+/**
+ * 下载图片并转换为base64
+ * @param {string} url - 图片地址，支持 http(s) 和 data URL
+ * @param {Object} options
+ * @param {number} options.maxBytes - 允许的最大字节数
+ * @param {number} [options.timeout] - 下载超时(毫秒)
+ * @returns {Promise<{mimeType: string, data: string}>}
+ */
+async function downloadImage(url, { maxBytes, timeout = 15000 }) {
+  let buffer
+
+  if (url.startsWith('data:')) {
+    const match = /^data:([^;,]*)(;base64)?,(.*)$/s.exec(url)
+    if (!match) throw new Error('无效的 data URL')
+    buffer = Buffer.from(decodeURIComponent(match[3]), match[2] ? 'base64' : 'utf8')
+    if (buffer.length > maxBytes) throw new Error('图片过大')
+  } else {
+    const controller = new AbortController()
+    const timeoutId = setTimeout(() => controller.abort(), timeout)
+    try {
+      // size 选项使 node-fetch 在响应体超出大小时中止读取
+      const response = await fetch(url, { signal: controller.signal, size: maxBytes })
+      if (!response.ok) {
+        throw new Error(`下载失败: ${response.status} ${response.statusText}`)
+      }
+      buffer = await response.buffer()
+    } catch (error) {
+      if (error.type === 'max-size') throw new Error('图片过大')
+      throw error
+    } finally {
+      clearTimeout(timeoutId)
+    }
+  }
+
+  const mimeType = detectMimeType(buffer)
+  if (!SUPPORTED_TYPES.includes(mimeType)) {
+    throw new Error('不支持的图片格式')
+  }
+
+  return { mimeType, data: buffer.toString('base64') }
+}
+
+/**
+ * 为发送给模型的消息准备图片数据
+ * 只有最后一条用户消息中的图片会被下载，更早的图片替换为占位符，
+ * 下载失败的图片同样替换为占位符。不会修改传入的消息。
+ * @param {Object} ctx - Koishi上下文
+ * @param {Array} messages - 消息列表
+ * @param {Object} config - 插件配置
+ * @returns {Promise<Array>} - 处理后的消息列表
+ */
+async function prepareImages(ctx, messages, config) {
+  const maxBytes = (config.maxImageSize || 5) * 1024 * 1024
+  let lastUserIndex = -1
+  messages.forEach((msg, index) => {
+    if (msg.role === 'user') lastUserIndex = index
+  })
+
+  return Promise.all(messages.map(async (msg, index) => {
+    if (!Array.isArray(msg.content)) return msg
+
+    const content = await Promise.all(msg.content.map(async (part) => {
+      if (part.type !== 'image') return part
+      if (index !== lastUserIndex) return { type: 'text', text: IMAGE_PLACEHOLDER }
+      try {
+        const image = await downloadImage(part.url, { maxBytes })
+        return { type: 'image', url: part.url, ...image }
+      } catch (error) {
+        ctx.logger.warn(`图片处理失败: ${error.message}`)
+        return { type: 'text', text: IMAGE_PLACEHOLDER }
+      }
+    }))
+
+    return { ...msg, content }
+  }))
+}
+
+module.exports = { downloadImage, prepareImages }
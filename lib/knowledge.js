@@ -0,0 +1,374 @@
+const fs = require('fs/promises')
+const path = require('path')
+const crypto = require('crypto')
+const { h } = require('koishi')
+const { BM25Index } = require('./bm25')
+const { Embedder, cosineSimilarity } = require('./embedding')
+const { splitReply } = require('./reply')
+
+// 目录中会被导入的文件类型
+const DOCUMENT_EXTENSIONS = ['.md', '.markdown', '.txt']
+
+// 每次请求嵌入接口的最大段数
+const EMBED_BATCH_SIZE = 16
+
+// 倒数排名融合的平滑常数
+const RRF_K = 60
+
+// 设置知识库相关的表结构
+function setupKnowledgeTables(ctx) {
+  // 用于存储导入的文档
+  ctx.model.extend('chatModelDocument', {
+    id: 'unsigned',
+    title: 'string',
+    // 相对知识库目录的文件路径，通过命令添加的文档为空
+    source: 'string',
+    // 文件内容的哈希，用于同步时跳过没有变化的文件
+    hash: 'string',
+    updatedAt: 'timestamp'
+  }, {
+    autoInc: true
+  })
+
+  // 用于存储文档切分后的段落
+  ctx.model.extend('chatModelChunk', {
+    id: 'unsigned',
+    // 所属文档的ID
+    document: 'unsigned',
+    content: 'text',
+    // 嵌入向量，未启用嵌入或计算失败时为空
+    embedding: 'json',
+    // 计算向量使用的嵌入模型
+    model: 'string'
+  }, {
+    autoInc: true
+  })
+}
+
+// 使用文档中的第一个标题作为文档标题
+function getTitle(text, fallback) {
+  return text.match(/^\s{0,3}#{1,6}\s+(.+?)\s*#*\s*$/m)?.[1] || fallback
+}
+
+// 计算文件内容的哈希
+function getHash(text) {
+  return crypto.createHash('md5').update(text).digest('hex')
+}
+
+// 递归列出目录中可导入的文件
+async function listFiles(dir) {
+  const files = []
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const file = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(file))
+    } else if (DOCUMENT_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      files.push(file)
+    }
+  }
+  return files
+}
+
+/**
+ * 使用倒数排名融合合并多个检索结果
+ * @param {Array<Array<{id: any}>>} rankings - 各自按相关度排列的结果
+ * @returns {Array<{id: any, score: number}>}
+ */
+function fuseRankings(rankings) {
+  const scores = new Map()
+  for (const ranking of rankings) {
+    ranking.forEach((item, rank) => {
+      scores.set(item.id, (scores.get(item.id) || 0) + 1 / (RRF_K + rank + 1))
+    })
+  }
+  return [...scores].map(([id, score]) => ({ id, score })).sort((a, b) => b.score - a.score)
+}
+
+/**
+ * 构造注入到system提示词之后的知识库消息
+ * @param {Array} chunks - 检索到的段落
+ * @returns {Object} - system消息
+ */
+function createKnowledgeMessage(chunks) {
+  const sources = chunks.map((chunk, index) => `[${index + 1}] 《${chunk.title}》\n${chunk.content}`)
+  return {
+    role: 'system',
+    content: '以下是知识库中与用户问题相关的资料。回答时优先依据这些资料，引用时在句末用[编号]标注来源；' +
+      `资料中没有的信息请如实说明:\n\n${sources.join('\n\n')}`
+  }
+}
+
+/**
+ * 在回复末尾列出其中引用的资料
+ * @param {string} reply - 模型回复
+ * @param {Array} chunks - 提供给模型的段落
+ * @returns {string}
+ */
+function appendCitations(reply, chunks) {
+  const cited = chunks
+    .map((chunk, index) => ({ chunk, mark: `[${index + 1}]` }))
+    .filter(({ mark }) => reply.includes(mark))
+  if (cited.length === 0) return reply
+  return `${reply}\n\n参考资料:\n${cited.map(({ chunk, mark }) => `${mark} ${chunk.title}`).join('\n')}`
+}
+
+/**
+ * 本地知识库
+ * 导入的文档按段落切分后保存在数据库中，检索时在内存中使用 BM25 打分，
+ * 启用嵌入时再按余弦相似度检索，两者的排名融合后取最相关的几段
+ */
+class KnowledgeBase {
+  /**
+   * @param {Object} ctx - Koishi上下文
+   * @param {Object} config - 插件配置
+   * @param {Object} modelInstance - 模型适配器，嵌入时读取其中最新的模型配置
+   */
+  constructor(ctx, config, modelInstance) {
+    this.ctx = ctx
+    this.options = config.knowledge || {}
+    this.embedder = this.options.enabled && this.options.useEmbedding
+      ? new Embedder(ctx, () => modelInstance.config, this.options.embedding)
+      : null
+    // 从数据库加载的段落和索引，文档变化时重新加载
+    this.cache = null
+  }
+
+  get enabled() {
+    return !!this.options.enabled
+  }
+
+  // 知识库目录的绝对路径
+  get directory() {
+    return this.options.directory ? path.resolve(this.options.directory) : ''
+  }
+
+  /**
+   * 加载所有段落并构建索引
+   * @returns {Promise<{chunks: Map, index: BM25Index}>}
+   */
+  async load() {
+    const documents = await this.ctx.database.get('chatModelDocument', {})
+    const titles = new Map(documents.map(doc => [doc.id, doc.title]))
+    const rows = await this.ctx.database.get('chatModelChunk', {})
+    const chunks = new Map(rows.map(row => [row.id, { ...row, title: titles.get(row.document) || '' }]))
+    const index = new BM25Index([...chunks.values()].map(chunk => ({
+      id: chunk.id,
+      text: `${chunk.title}\n${chunk.content}`
+    })))
+    this.cache = { chunks, index }
+    return this.cache
+  }
+
+  /**
+   * 检索与问题相关的段落
+   * 检索失败时返回空数组，不影响正常对话
+   * @param {string} query - 用户消息的文本
+   * @param {number} [limit] - 返回的最大段数，默认使用配置
+   * @returns {Promise<Array<{id: number, title: string, content: string}>>}
+   */
+  async search(query, limit = this.options.topK || 3) {
+    if (!this.enabled || !query.trim()) return []
+
+    try {
+      const { chunks, index } = this.cache || await this.load()
+      if (index.size === 0) return []
+
+      const lexical = index.search(query, limit * 2)
+        .filter(result => result.score >= (this.options.minScore ?? 1))
+      let ranked = lexical
+      if (this.embedder) {
+        const model = this.embedder.model
+        const [vector] = await this.embedder.embed([query])
+        const minSimilarity = this.options.minSimilarity ?? 0.5
+        const semantic = [...chunks.values()]
+          .filter(chunk => chunk.embedding && chunk.model === model)
+          .map(chunk => ({ id: chunk.id, score: cosineSimilarity(vector, chunk.embedding) }))
+          .filter(result => result.score >= minSimilarity)
+          .sort((a, b) => b.score - a.score)
+          .slice(0, limit * 2)
+        ranked = fuseRankings([lexical, semantic])
+      }
+      return ranked.slice(0, limit).map(result => chunks.get(result.id))
+    } catch (error) {
+      this.ctx.logger.warn(`检索知识库失败: ${error.message}`)
+      return []
+    }
+  }
+
+  /**
+   * 计算段落的嵌入向量并保存
+   * 嵌入失败时仍然保存段落，只是不参与向量检索
+   * @param {number} document - 文档ID
+   * @param {Array<string>} pieces - 段落文本
+   */
+  async saveChunks(document, pieces) {
+    for (let start = 0; start < pieces.length; start += EMBED_BATCH_SIZE) {
+      const batch = pieces.slice(start, start + EMBED_BATCH_SIZE)
+      let vectors = []
+      let model = ''
+      if (this.embedder) {
+        try {
+          model = this.embedder.model
+          vectors = await this.embedder.embed(batch)
+        } catch (error) {
+          this.ctx.logger.warn(`计算知识库段落的嵌入向量失败: ${error.message}`)
+        }
+      }
+      for (let i = 0; i < batch.length; i++) {
+        await this.ctx.database.create('chatModelChunk', {
+          document,
+          content: batch[i],
+          embedding: vectors[i] || null,
+          model: vectors[i] ? model : ''
+        })
+      }
+    }
+  }
+
+  // 按配置的长度切分文档
+  split(text) {
+    return splitReply(text.trim(), this.options.chunkSize || 500).filter(piece => piece.trim())
+  }
+
+  /**
+   * 添加文档
+   * @param {string} title - 文档标题
+   * @param {string} text - 文档内容，支持 Markdown
+   * @param {string} [source] - 来源文件的相对路径
+   * @returns {Promise<{id: number, chunks: number}>}
+   */
+  async addDocument(title, text, source = '') {
+    const pieces = this.split(text)
+    const doc = await this.ctx.database.create('chatModelDocument', {
+      title,
+      source,
+      hash: getHash(text),
+      updatedAt: new Date()
+    })
+    await this.saveChunks(doc.id, pieces)
+    this.cache = null
+    return { id: doc.id, chunks: pieces.length }
+  }
+
+  /**
+   * 删除文档及其段落
+   * @param {number} id - 文档ID
+   * @returns {Promise<boolean>} - 文档是否存在
+   */
+  async removeDocument(id) {
+    const result = await this.ctx.database.remove('chatModelDocument', { id })
+    await this.ctx.database.remove('chatModelChunk', { document: id })
+    this.cache = null
+    return !!result.removed
+  }
+
+  /**
+   * 将知识库目录与数据库同步
+   * 新增和修改过的文件重新导入，已删除的文件对应的文档一并删除
+   * @returns {Promise<{added: number, updated: number, removed: number}>}
+   */
+  async syncDirectory() {
+    const root = this.directory
+    const result = { added: 0, updated: 0, removed: 0 }
+    const documents = await this.ctx.database.get('chatModelDocument', {})
+    const sources = new Set()
+
+    for (const file of await listFiles(root)) {
+      const source = path.relative(root, file).split(path.sep).join('/')
+      sources.add(source)
+      const text = await fs.readFile(file, 'utf8')
+      const existing = documents.find(doc => doc.source === source)
+      if (existing?.hash === getHash(text)) continue
+
+      const title = getTitle(text, path.basename(file, path.extname(file)))
+      if (existing) {
+        await this.ctx.database.remove('chatModelChunk', { document: existing.id })
+        await this.ctx.database.set('chatModelDocument', { id: existing.id }, {
+          title,
+          hash: getHash(text),
+          updatedAt: new Date()
+        })
+        await this.saveChunks(existing.id, this.split(text))
+        result.updated++
+      } else {
+        await this.addDocument(title, text, source)
+        result.added++
+      }
+    }
+
+    for (const doc of documents) {
+      if (doc.source && !sources.has(doc.source)) {
+        await this.removeDocument(doc.id)
+        result.removed++
+      }
+    }
+
+    this.cache = null
+    return result
+  }
+}
+
+/**
+ * 注册知识库管理命令
+ * @param {Object} ctx - Koishi上下文
+ * @param {Object} config - 插件配置
+ * @param {KnowledgeBase} knowledge - 知识库
+ */
+function applyKnowledgeCommands(ctx, config, knowledge) {
+  const authority = config.knowledge?.authority ?? 3
+
+  ctx.command('知识库', '管理AI助手的知识库', { authority })
+
+  ctx.command('知识库.列表', '查看知识库中的文档', { authority })
+    .action(async () => {
+      const documents = await ctx.database.get('chatModelDocument', {})
+      if (documents.length === 0) return '知识库中没有文档'
+      const chunks = await ctx.database.get('chatModelChunk', {}, ['document'])
+      const lines = documents.map((doc) => {
+        const count = chunks.filter(chunk => chunk.document === doc.id).length
+        return `#${doc.id} ${doc.title} (${doc.source || '命令添加'}，${count} 段)`
+      })
+      return h.text(lines.join('\n'))
+    })
+
+  ctx.command('知识库.添加 <title:string> <content:text>', '添加一篇文档', { authority })
+    .action(async (_, title, content) => {
+      if (!title || !content) return '请提供文档标题和内容'
+      const { id, chunks } = await knowledge.addDocument(h.unescape(title), h.unescape(content))
+      return `已添加文档 #${id}，共 ${chunks} 段`
+    })
+
+  ctx.command('知识库.删除 <id:posint>', '删除一篇文档', { authority })
+    .action(async (_, id) => {
+      if (!id) return '请指定要删除的文档编号'
+      return await knowledge.removeDocument(id) ? `已删除文档 #${id}` : `文档 #${id} 不存在`
+    })
+
+  ctx.command('知识库.同步', '重新导入知识库目录中的文件', { authority })
+    .action(async () => {
+      if (!knowledge.directory) return '没有配置知识库目录'
+      try {
+        const { added, updated, removed } = await knowledge.syncDirectory()
+        return `同步完成: 新增 ${added} 篇，更新 ${updated} 篇，删除 ${removed} 篇`
+      } catch (error) {
+        return `同步失败: ${error.message}`
+      }
+    })
+
+  ctx.command('知识库.搜索 <query:text>', '测试知识库的检索结果', { authority })
+    .action(async (_, query) => {
+      if (!query) return '请输入要搜索的内容'
+      if (!knowledge.enabled) return '知识库未启用'
+      const chunks = await knowledge.search(h.unescape(query))
+      if (chunks.length === 0) return '没有找到相关的资料'
+      return h.text(chunks.map((chunk, index) => `[${index + 1}] 《${chunk.title}》\n${chunk.content}`).join('\n\n'))
+    })
+}
+
+module.exports = {
+  setupKnowledgeTables,
+  createKnowledgeMessage,
+  appendCitations,
+  KnowledgeBase,
+  applyKnowledgeCommands
+}
@@ -0,0 +1,243 @@
+const OpenAIAdapter = require('./openai-adapter')
+const { ErrorType, ModelError, toModelError, requestJSON, requestNDJSON } = require('./http')
+
+// 各接口类型的默认地址
+const DEFAULT_ENDPOINTS = {
+  openai: 'http://127.0.0.1:8080/v1',
+  ollama: 'http://127.0.0.1:11434'
+}
+
+/**
+ * 本地或兼容 OpenAI 接口的模型适配器
+ * 支持 llama.cpp、vLLM 等兼容 OpenAI 接口的服务，以及 Ollama 的原生接口。
+ * API密钥可以不填，并额外支持 top_k 和重复惩罚参数。
+ */
+class LocalAdapter extends OpenAIAdapter {
+  constructor(ctx, config) {
+    super(ctx, config)
+    this.local = config.local || {}
+
+    // 插件就绪后在后台检查配置的模型是否可用，不等待结果，只输出警告；
+    // 热替换时插件已经就绪，会立即进行检查
+    ctx.on('ready', () => {
+      void this.checkModel()
+    })
+  }
+
+  get label() {
+    return '本地模型'
+  }
+
+  // 接口类型：openai 兼容接口，ollama 原生接口
+  get api() {
+    return this.config.local?.api || 'openai'
+  }
+
+  get defaultEndpoint() {
+    return DEFAULT_ENDPOINTS[this.api]
+  }
+
+  get requiresApiKey() {
+    return false
+  }
+
+  /**
+   * 构建兼容接口的请求体，附加 OpenAI 接口不支持的采样参数
+   * @param {Array} messages - 对话历史消息
+   * @param {Object} session - Koishi会话对象
+   * @param {Object} options - 本次请求的参数覆盖
+   * @returns {Object}
+   */
+  buildBody(messages, session, options) {
+    const { repetitionPenalty } = this.local
+    const body = super.buildBody(messages, session, options)
+    if (this.generation.topK) body.top_k = this.generation.topK
+    if (repetitionPenalty !== undefined) {
+      // vLLM 使用 repetition_penalty，llama.cpp 使用 repeat_penalty
+      body.repetition_penalty = repetitionPenalty
+      body.repeat_penalty = repetitionPenalty
+    }
+    return body
+  }
+
+  /**
+   * 将消息转换为 Ollama 原生接口的格式
+   * @param {Array} messages - 统一格式的消息数组
+   * @returns {Array}
+   */
+  formatOllamaMessages(messages) {
+    return messages.map((msg) => {
+      if (msg.role === 'tool') {
+        return { role: 'tool', content: msg.content }
+      }
+
+      if (msg.toolCalls?.length) {
+        return {
+          role: 'assistant',
+          content: msg.content || '',
+          tool_calls: msg.toolCalls.map(call => ({
+            function: { name: call.name, arguments: call.arguments }
+          }))
+        }
+      }
+
+      if (!Array.isArray(msg.content)) return { role: msg.role, content: msg.content }
+
+      // Ollama 只接受 base64 编码的图片，未下载的图片链接直接忽略
+      const text = msg.content.filter(part => part.type === 'text').map(part => part.text).join('')
+      const images = msg.content.filter(part => part.type === 'image' && part.data).map(part => part.data)
+      return images.length ? { role: msg.role, content: text, images } : { role: msg.role, content: text }
+    })
+  }
+
+  /**
+   * 构建 Ollama 原生接口的请求体
+   * @param {Array} messages - 对话历史消息
+   * @param {Object} options - 本次请求的参数覆盖
+   * @param {boolean} stream - 是否流式返回
+   * @returns {Object}
+   */
+  buildOllamaBody(messages, options, stream) {
+    const { maxTokens, topP, topK, stop, presencePenalty, frequencyPenalty, seed } = this.generation
+    const { repetitionPenalty } = this.local
+    const modelOptions = { temperature: options.temperature ?? this.temperature }
+    if (maxTokens) modelOptions.num_predict = maxTokens
+    if (topP !== undefined) modelOptions.top_p = topP
+    if (topK) modelOptions.top_k = topK
+    if (stop?.length) modelOptions.stop = stop
+    if (presencePenalty !== undefined) modelOptions.presence_penalty = presencePenalty
+    if (frequencyPenalty !== undefined) modelOptions.frequency_penalty = frequencyPenalty
+    if (seed !== undefined) modelOptions.seed = seed
+    if (repetitionPenalty !== undefined) modelOptions.repeat_penalty = repetitionPenalty
+
+    return {
+      model: options.modelName || this.modelName,
+      messages: this.formatOllamaMessages(messages),
+      options: modelOptions,
+      stream
+    }
+  }
+
+  // 报告 Ollama 响应中的令牌用量
+  reportOllamaUsage(data, options) {
+    if (data.prompt_eval_count === undefined && data.eval_count === undefined) return
+    this.ctx.logger.debug(`使用了 ${(data.prompt_eval_count || 0) + (data.eval_count || 0)} 个令牌 (提示: ${data.prompt_eval_count || 0}, 完成: ${data.eval_count || 0})`)
+    options.onUsage?.({ promptTokens: data.prompt_eval_count || 0, completionTokens: data.eval_count || 0 })
+  }
+
+  /**
+   * 发送非流式请求，Ollama 原生接口单独处理
+   * @param {Array} messages - 对话历史消息
+   * @param {Object} session - Koishi会话对象
+   * @param {Array} [tools] - 可用的工具定义
+   * @param {Object} [options] - 本次请求的参数覆盖
+   * @returns {Promise<{text: string, toolCalls: Array}>}
+   */
+  async complete(messages, session, tools = [], options = {}) {
+    if (this.api !== 'ollama') return super.complete(messages, session, tools, options)
+    this.ctx.logger.debug(`向Ollama发送请求，消息数: ${messages.length}`)
+
+    try {
+      const data = await requestJSON(this.ctx, `${this.apiEndpoint}/api/chat`, {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: {
+          ...this.buildOllamaBody(messages, options, false),
+          ...tools.length ? { tools: this.formatTools(tools) } : {}
+        }
+      }, this.requestOptions)
+
+      if (!data.message) {
+        this.ctx.logger.error('Ollama返回了无效的响应格式', data)
+        throw new Error('收到无效的API响应')
+      }
+      this.reportOllamaUsage(data, options)
+
+      // Ollama 不返回工具调用ID，按顺序生成
+      const toolCalls = (data.message.tool_calls || []).map((call, index) => ({
+        id: `call_${Date.now()}_${index}`,
+        name: call.function.name,
+        arguments: call.function.arguments || {}
+      }))
+
+      return { text: (data.message.content || '').trim(), toolCalls }
+    } catch (error) {
+      this.ctx.logger.error('Ollama请求失败:', error)
+      throw toModelError(error)
+    }
+  }
+
+  /**
+   * 以流式方式生成回复，Ollama 原生接口单独处理
+   * @param {Array} messages - 对话历史消息
+   * @param {Object} session - Koishi会话对象
+   * @param {Function} onToken - 每收到一段文本时调用，参数为(增量文本, 当前完整文本)
+   * @param {Object} [options] - 本次请求的参数覆盖
+   * @returns {Promise<string>} - 生成的完整回复文本
+   */
+  async generateStreamResponse(messages, session, onToken, options = {}) {
+    if (this.api !== 'ollama') return super.generateStreamResponse(messages, session, onToken, options)
+    this.ctx.logger.debug(`向Ollama发送流式请求，消息数: ${messages.length}`)
+
+    try {
+      const lines = requestNDJSON(this.ctx, `${this.apiEndpoint}/api/chat`, {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: this.buildOllamaBody(messages, options, true)
+      }, this.requestOptions)
+
+      let text = ''
+      for await (const data of lines) {
+        if (data.error) {
+          throw new ModelError(ErrorType.SERVER, `API请求失败: ${data.error}`)
+        }
+
+        const delta = data.message?.content
+        if (delta) {
+          text += delta
+          await onToken(delta, text)
+        }
+
+        // 最后一行包含令牌使用情况
+        if (data.done) {
+          this.reportOllamaUsage(data, options)
+          break
+        }
+      }
+
+      return text.trim()
+    } catch (error) {
+      this.ctx.logger.error('Ollama流式请求失败:', error)
+      throw toModelError(error)
+    }
+  }
+
+  /**
+   * 查询服务端可用的模型列表
+   * @returns {Promise<Array<string>>} - 模型名称
+   */
+  async listModels() {
+    if (this.api !== 'ollama') return super.listModels()
+    const data = await requestJSON(this.ctx, `${this.apiEndpoint}/api/tags`, {
+      method: 'GET',
+      headers: this.getHeaders()
+    }, this.requestOptions)
+    return (data.models || []).map(model => model.name).sort()
+  }
+
+  // 检查配置的模型是否已在服务端安装
+  async checkModel() {
+    try {
+      const models = await this.listModels()
+      // Ollama 的模型名称省略标签时默认为 latest
+      const found = models.some(name => name === this.modelName || name === `${this.modelName}:latest`)
+      if (models.length && !found) {
+        this.ctx.logger.warn(`本地服务中没有找到模型 ${this.modelName}，可用的模型: ${models.join(', ')}`)
+      }
+    } catch (error) {
+      this.ctx.logger.warn(`无法获取本地服务的模型列表: ${error.message}`)
+    }
+  }
+}
+
+module.exports = LocalAdapter
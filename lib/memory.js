@@ -0,0 +1,236 @@
+const { h } = require('koishi')
+const { Embedder, cosineSimilarity } = require('./embedding')
+const { contentToText } = require('./content')
+const { isPrivateSession } = require('./context')
+
+// 每条记忆保存的最大长度
+const MAX_MEMORY_LENGTH = 500
+
+// 提取记忆时使用的系统提示词
+const EXTRACT_PROMPT = '你负责从对话中提取值得长期记住的关于用户的信息，如身份、偏好、经历、计划和用户明确要求记住的事情。' +
+  '每条信息单独一行，以"- "开头，使用第三人称陈述，不超过50字。忽略寒暄和一次性的问题，没有值得记住的信息时只输出"无"。'
+
+// 设置长期记忆表结构
+function setupMemoryTable(ctx) {
+  ctx.model.extend('chatModelMemory', {
+    id: 'unsigned',
+    // 形如 平台:用户ID
+    owner: 'string',
+    // 记忆的来源，private 表示私聊，group 表示群聊
+    scope: 'string',
+    // 记忆的文本
+    content: 'text',
+    // 嵌入向量
+    embedding: 'json',
+    // 计算向量使用的嵌入模型，更换模型后旧的记忆不再参与检索
+    model: 'string',
+    createdAt: 'timestamp'
+  }, {
+    autoInc: true
+  })
+}
+
+// 获取记忆所属用户的标识
+function getOwnerKey(session) {
+  return `${session.platform}:${session.userId}`
+}
+
+/**
+ * 获取会话中可见的记忆的查询条件
+ * 私聊中保存的记忆可能包含隐私，在群聊中不会被检索或列出
+ * @param {Object} session - Koishi会话对象
+ * @returns {Object}
+ */
+function getVisibleQuery(session) {
+  const query = { owner: getOwnerKey(session) }
+  if (!isPrivateSession(session)) query.scope = 'group'
+  return query
+}
+
+/**
+ * 构造注入到system提示词之后的记忆消息
+ * @param {Array} memories - 检索到的记忆
+ * @returns {Object} - system消息
+ */
+function createMemoryMessage(memories) {
+  return {
+    role: 'system',
+    content: `以下是你记得的与该用户相关的信息，可在相关时参考:\n${memories.map(memory => `- ${memory.content}`).join('\n')}`
+  }
+}
+
+/**
+ * 长期记忆
+ * 将过去的对话或从中提取的信息以嵌入向量的形式保存在数据库中，
+ * 每次对话时在本地按余弦相似度检索与新消息最相关的几条
+ */
+class MemoryManager {
+  /**
+   * @param {Object} ctx - Koishi上下文
+   * @param {Object} config - 插件配置
+   * @param {Object} modelInstance - 模型适配器，用于提取记忆
+   * @param {Object} ledger - 用量记录
+   */
+  constructor(ctx, config, modelInstance, ledger) {
+    this.ctx = ctx
+    this.options = config.memory || {}
+    this.modelInstance = modelInstance
+    this.ledger = ledger
+    this.embedder = this.options.enabled
+      ? new Embedder(ctx, () => modelInstance.config, this.options.embedding)
+      : null
+  }
+
+  get enabled() {
+    return !!this.embedder
+  }
+
+  /**
+   * 检索与消息相关的记忆
+   * 检索失败时返回空数组，不影响正常对话
+   * @param {Object} session - Koishi会话对象
+   * @param {string|Array} content - 用户消息
+   * @returns {Promise<Array<{content: string, score: number}>>} - 按相关度从高到低排列
+   */
+  async recall(session, content) {
+    if (!this.enabled) return []
+    const text = contentToText(content).trim()
+    if (!text) return []
+
+    try {
+      const rows = await this.ctx.database.get('chatModelMemory', {
+        ...getVisibleQuery(session),
+        model: this.embedder.model
+      })
+      if (rows.length === 0) return []
+
+      const [vector] = await this.embedder.embed([text])
+      const minScore = this.options.minScore ?? 0.5
+      return rows
+        .map(row => ({ id: row.id, content: row.content, score: cosineSimilarity(vector, row.embedding) }))
+        .filter(memory => memory.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, this.options.topK || 3)
+    } catch (error) {
+      this.ctx.logger.warn(`检索长期记忆失败: ${error.message}`)
+      return []
+    }
+  }
+
+  /**
+   * 从一轮对话中提取需要记住的信息
+   * @param {Object} session - Koishi会话对象
+   * @param {string} transcript - 对话文本
+   * @returns {Promise<Array<string>>}
+   */
+  async extract(session, transcript) {
+    const result = await this.modelInstance.generateResponse([
+      { role: 'system', content: EXTRACT_PROMPT },
+      { role: 'user', content: transcript }
+    ], session, { onUsage: usage => this.ledger.record(session, usage) })
+
+    return (result || '')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line.startsWith('-'))
+      .map(line => line.replace(/^-\s*/, ''))
+      .filter(Boolean)
+  }
+
+  /**
+   * 保存一轮对话的记忆
+   * 在回复发送后于后台执行，失败时只记录日志
+   * @param {Object} session - Koishi会话对象
+   * @param {string|Array} content - 用户消息
+   * @param {string} reply - 模型回复
+   */
+  async remember(session, content, reply) {
+    if (!this.enabled) return
+    const transcript = `用户: ${contentToText(content)}\n助手: ${reply}`
+
+    try {
+      const entries = this.options.mode === 'extract'
+        ? await this.extract(session, transcript)
+        : [transcript]
+      if (entries.length === 0) return
+
+      const texts = entries.map(entry => entry.slice(0, MAX_MEMORY_LENGTH))
+      const model = this.embedder.model
+      const vectors = await this.embedder.embed(texts)
+      // 生成期间插件已被卸载时不再写入数据库
+      if (!this.ctx.scope.isActive) return
+      const owner = getOwnerKey(session)
+      const scope = isPrivateSession(session) ? 'private' : 'group'
+      for (let i = 0; i < texts.length; i++) {
+        await this.ctx.database.create('chatModelMemory', {
+          owner,
+          scope,
+          content: texts[i],
+          embedding: vectors[i],
+          model,
+          createdAt: new Date()
+        })
+      }
+      this.ctx.logger.debug(`为用户 ${owner} 保存了 ${texts.length} 条记忆`)
+      await this.prune(owner)
+    } catch (error) {
+      if (this.ctx.scope.isActive) this.ctx.logger.warn(`保存长期记忆失败: ${error.message}`)
+    }
+  }
+
+  /**
+   * 删除超出数量上限的最早的记忆
+   * @param {string} owner - 用户标识
+   */
+  async prune(owner) {
+    const limit = this.options.maxPerUser ?? 200
+    if (!limit) return
+    const rows = await this.ctx.database
+      .select('chatModelMemory', { owner })
+      .orderBy('id', 'desc')
+      .project(['id'])
+      .execute()
+    if (rows.length <= limit) return
+    await this.ctx.database.remove('chatModelMemory', { id: rows.slice(limit).map(row => row.id) })
+  }
+}
+
+/**
+ * 注册查看和删除记忆的命令
+ * @param {Object} ctx - Koishi上下文
+ * @param {Object} config - 插件配置
+ */
+function applyMemoryCommands(ctx, config) {
+  ctx.command('记忆', '查看AI助手记住的关于你的信息')
+    .option('count', '-n <count:posint> 显示的条数，默认为 10')
+    .action(async ({ session, options }) => {
+      const rows = await ctx.database
+        .select('chatModelMemory', getVisibleQuery(session))
+        .orderBy('id', 'desc')
+        .limit(options.count || 10)
+        .execute()
+      if (rows.length === 0) return '没有关于你的记忆'
+      return h.text(rows.map(row => `#${row.id} ${row.content}`).join('\n'))
+    })
+
+  ctx.command('记忆.忘记 [id:posint]', '删除一条记忆')
+    .option('all', '-a 删除关于你的全部记忆')
+    .action(async ({ session, options }, id) => {
+      const owner = getOwnerKey(session)
+      if (options.all) {
+        const result = await ctx.database.remove('chatModelMemory', { owner })
+        return `已删除 ${result.removed ?? 0} 条记忆`
+      }
+      if (!id) return '请指定要删除的记忆编号'
+
+      const result = await ctx.database.remove('chatModelMemory', { id, owner })
+      return result.removed ? `已删除记忆 #${id}` : `记忆 #${id} 不存在`
+    })
+}
+
+module.exports = {
+  setupMemoryTable,
+  createMemoryMessage,
+  MemoryManager,
+  applyMemoryCommands
+}
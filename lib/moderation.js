@@ -0,0 +1,238 @@
+const { h } = require('koishi')
+const { isPrivateSession } = require('./context')
+const { contentToText } = require('./content')
+const { requestJSON, getRequestOptions } = require('./http')
+
+// 审核记录中保存的内容最大长度
+const MAX_AUDIT_CONTENT = 500
+
+// 各处理方式在展示时使用的名称
+const ACTION_NAMES = {
+  refuse: '拒绝',
+  redact: '打码',
+  log: '放行'
+}
+
+// 审核阶段在展示时使用的名称
+const STAGE_NAMES = {
+  input: '输入',
+  output: '输出'
+}
+
+// 设置审核记录表结构
+function setupModerationTable(ctx) {
+  ctx.model.extend('chatModelModeration', {
+    id: 'unsigned',
+    time: 'timestamp',
+    // 形如 平台:用户ID
+    userId: 'string',
+    // 形如 平台:频道ID，私聊为空
+    channelId: 'string',
+    // 审核阶段：input 用户消息，output 模型回复
+    stage: 'string',
+    // 命中来源：blocklist 本地屏蔽词，openai 审核接口
+    source: 'string',
+    // 命中的规则或类别
+    rule: 'string',
+    // 实际采取的处理方式
+    action: 'string',
+    // 被审核的内容，过长时截断
+    content: 'text'
+  }, {
+    autoInc: true
+  })
+}
+
+/**
+ * 编译屏蔽词
+ * @param {Object} ctx - Koishi上下文
+ * @param {Array<string>} patterns - 正则表达式列表
+ * @returns {Array<RegExp>}
+ */
+function compileBlocklist(ctx, patterns = []) {
+  return patterns.flatMap((pattern) => {
+    try {
+      return [new RegExp(pattern, 'gi')]
+    } catch (error) {
+      ctx.logger.warn(`无效的屏蔽词 ${pattern}: ${error.message}`)
+      return []
+    }
+  })
+}
+
+// 替换内容中所有文本片段里命中屏蔽词的部分
+function redactContent(content, blocklist, replacement) {
+  const redact = text => blocklist.reduce((result, regexp) => result.replace(regexp, replacement), text)
+  if (typeof content === 'string') return redact(content)
+  return content.map(part => part.type === 'text' ? { ...part, text: redact(part.text) } : part)
+}
+
+/**
+ * 内容审核
+ * 在用户消息发送给模型前、模型回复发送给用户前检查内容，
+ * 依次使用本地屏蔽词和可选的 OpenAI 审核接口，命中时按配置拒绝、打码或仅记录
+ */
+class Moderator {
+  /**
+   * @param {Object} ctx - Koishi上下文
+   * @param {Object} config - 插件配置
+   */
+  constructor(ctx, config) {
+    this.ctx = ctx
+    this.config = config
+    this.options = config.moderation || {}
+    this.blocklist = compileBlocklist(ctx, this.options.blocklist)
+  }
+
+  // 是否需要审核模型回复
+  get moderatesOutput() {
+    return !!this.options.enabled && this.options.checkOutput !== false
+  }
+
+  // 是否需要在发送前审核完整的回复，此时不能边生成边发送；仅记录时生成完毕后再审核，不影响流式回复
+  get holdsOutput() {
+    return this.moderatesOutput && (this.options.action || 'refuse') !== 'log'
+  }
+
+  // 拒绝时向用户展示的提示
+  get refuseMessage() {
+    return this.options.refuseMessage || '抱歉，该内容不符合群规，无法处理。'
+  }
+
+  /**
+   * 调用 OpenAI 审核接口
+   * @param {string} text - 待审核的文本
+   * @returns {Promise<Array<string>>} - 命中的类别，未命中时为空数组
+   */
+  async requestModeration(text) {
+    const endpoint = this.options.apiEndpoint || 'https://api.openai.com/v1'
+    const data = await requestJSON(this.ctx, `${endpoint}/moderations`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${this.options.apiKey || this.config.apiKey}` },
+      body: {
+        model: this.options.model || 'omni-moderation-latest',
+        input: text
+      }
+    }, getRequestOptions(this.config, '内容审核'))
+
+    const result = data.results?.[0]
+    if (!result?.flagged) return []
+    const categories = Object.keys(result.categories || {}).filter(name => result.categories[name])
+    return categories.length ? categories : ['flagged']
+  }
+
+  /**
+   * 查找内容命中的规则
+   * @param {string} text - 待审核的文本
+   * @returns {Promise<Array<{source: string, rule: string}>>}
+   */
+  async findHits(text) {
+    const hits = this.blocklist
+      .filter(regexp => text.match(regexp))
+      .map(regexp => ({ source: 'blocklist', rule: regexp.source }))
+    if (hits.length || !this.options.useOpenAI) return hits
+
+    try {
+      const categories = await this.requestModeration(text)
+      if (categories.length) hits.push({ source: 'openai', rule: categories.join(',') })
+    } catch (error) {
+      // 审核接口不可用时放行，避免影响正常对话
+      this.ctx.logger.warn(`内容审核接口请求失败，本次不进行审核: ${error.message}`)
+    }
+    return hits
+  }
+
+  /**
+   * 审核内容
+   * 打码只能处理屏蔽词命中的部分，审核接口命中时按拒绝处理
+   * @param {Object} session - Koishi会话对象，可以为空
+   * @param {string|Array} content - 纯文本或内容片段数组
+   * @param {string} stage - 审核阶段：input 或 output
+   * @returns {Promise<{blocked: boolean, content: string|Array}>} - 是否拒绝，以及处理后的内容
+   */
+  async review(session, content, stage) {
+    if (!this.options.enabled) return { blocked: false, content }
+    if (stage === 'input' && this.options.checkInput === false) return { blocked: false, content }
+    if (stage === 'output' && !this.moderatesOutput) return { blocked: false, content }
+
+    const text = contentToText(content)
+    if (!text.trim()) return { blocked: false, content }
+
+    const hits = await this.findHits(text)
+    if (hits.length === 0) return { blocked: false, content }
+
+    let action = this.options.action || 'refuse'
+    if (action === 'redact' && hits.some(hit => hit.source !== 'blocklist')) action = 'refuse'
+    await this.audit(session, stage, hits, action, text)
+
+    switch (action) {
+      case 'log': return { blocked: false, content }
+      case 'redact': return { blocked: false, content: redactContent(content, this.blocklist, this.options.replacement ?? '[已屏蔽]') }
+      default: return { blocked: true, content }
+    }
+  }
+
+  /**
+   * 记录命中审核的内容
+   * @param {Object} session - Koishi会话对象
+   * @param {string} stage - 审核阶段
+   * @param {Array} hits - 命中的规则
+   * @param {string} action - 采取的处理方式
+   * @param {string} text - 被审核的文本
+   */
+  async audit(session, stage, hits, action, text) {
+    const rule = hits.map(hit => `${hit.source}:${hit.rule}`).join('; ')
+    this.ctx.logger.warn(`${STAGE_NAMES[stage]}内容命中审核规则 ${rule}，处理方式: ${ACTION_NAMES[action]}，用户: ${session?.userId ?? '无'}`)
+    if (this.options.audit === false) return
+
+    try {
+      // 其他插件通过服务发起的请求可能没有会话
+      await this.ctx.database.create('chatModelModeration', {
+        time: new Date(),
+        userId: session ? `${session.platform}:${session.userId}` : '',
+        channelId: !session || isPrivateSession(session) ? '' : `${session.platform}:${session.channelId}`,
+        stage,
+        source: hits[0].source,
+        rule,
+        action,
+        content: text.slice(0, MAX_AUDIT_CONTENT)
+      })
+    } catch (error) {
+      this.ctx.logger.error(`记录审核结果失败: ${error.message}`)
+    }
+  }
+}
+
+/**
+ * 注册查看审核记录的命令
+ * @param {Object} ctx - Koishi上下文
+ * @param {Object} config - 插件配置
+ */
+function applyModerationCommands(ctx, config) {
+  ctx.command('审核记录', '查看最近命中内容审核的记录', { authority: config.moderation?.auditAuthority ?? 3 })
+    .option('count', '-n <count:posint> 显示的条数，默认为 10')
+    .option('user', '-u <user:user> 只显示指定用户的记录')
+    .action(async ({ options }) => {
+      const query = options.user ? { userId: options.user } : {}
+      const rows = await ctx.database
+        .select('chatModelModeration', query)
+        .orderBy('id', 'desc')
+        .limit(options.count || 10)
+        .execute()
+      if (rows.length === 0) return '没有审核记录'
+
+      const lines = rows.map((row) => {
+        const time = new Date(row.time).toLocaleString()
+        const where = row.channelId || '私聊'
+        return `[${time}] ${row.userId} @ ${where} ${STAGE_NAMES[row.stage] || row.stage}${ACTION_NAMES[row.action] || row.action}\n`
+          + `规则: ${row.rule}\n内容: ${row.content}`
+      })
+      return h.text(lines.join('\n\n'))
+    })
+}
+
+module.exports = {
+  setupModerationTable,
+  Moderator,
+  applyModerationCommands
+}
@@ -1,99 +1,280 @@
-const fetch = require('node-fetch')
-const AbortController = require('abort-controller')
+const { ErrorType, ModelError, toModelError, requestJSON, requestStream, getRequestOptions } = require('./http')
+
+// 解析模型生成的工具参数，格式错误时视为空参数
+function parseArguments(text) {
+  try {
+    return JSON.parse(text || '{}')
+  } catch {
+    return {}
+  }
+}
 
 class OpenAIAdapter {
   constructor(ctx, config) {
     this.ctx = ctx
     this.config = config
     this.apiKey = config.apiKey
-    this.apiEndpoint = config.apiEndpoint || 'https://api.openai.com/v1'
+    this.apiEndpoint = config.apiEndpoint || this.defaultEndpoint
     this.modelName = config.modelName || 'gpt-3.5-turbo'
     this.temperature = config.temperature ?? 0.7
+    this.generation = config.generation || {}
+    this.requestOptions = getRequestOptions(config, this.label)
     
     // 验证必要参数
-    if (!this.apiKey) {
-      ctx.logger.error('OpenAI API密钥未设置')
-      throw new Error('OpenAI API密钥未设置')
+    if (!this.apiKey && this.requiresApiKey) {
+      ctx.logger.error(`${this.label} API密钥未设置`)
+      throw new Error(`${this.label} API密钥未设置`)
     }
     
-    ctx.logger.info(`OpenAI适配器已初始化，使用模型: ${this.modelName}`)
+    ctx.logger.info(`${this.label}适配器已初始化，使用模型: ${this.modelName}`)
+  }
+  
+  // 以下属性供兼容 OpenAI 接口的子类覆盖
+  get label() {
+    return 'OpenAI'
+  }
+  
+  get defaultEndpoint() {
+    return 'https://api.openai.com/v1'
+  }
+  
+  get requiresApiKey() {
+    return true
+  }
+  
+  /**
+   * 获取请求头
+   * @returns {Object}
+   */
+  getHeaders() {
+    return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {}
+  }
+  
+  /**
+   * 构建聊天接口的请求体
+   * @param {Array} messages - 对话历史消息
+   * @param {Object} session - Koishi会话对象
+   * @param {Object} options - 本次请求的参数覆盖
+   * @returns {Object}
+   */
+  buildBody(messages, session, options) {
+    const { maxTokens, topP, stop, presencePenalty, frequencyPenalty, seed } = this.generation
+    const body = {
+      model: options.modelName || this.modelName,
+      messages: this.formatMessages(messages),
+      temperature: options.temperature ?? this.temperature,
+      user: session?.userId // 传递用户ID以便OpenAI分析滥用情况
+    }
+    // 未设置的生成参数不传递，使用接口的默认值
+    if (maxTokens) body.max_tokens = maxTokens
+    if (topP !== undefined) body.top_p = topP
+    if (stop?.length) body.stop = stop
+    if (presencePenalty !== undefined) body.presence_penalty = presencePenalty
+    if (frequencyPenalty !== undefined) body.frequency_penalty = frequencyPenalty
+    if (seed !== undefined) body.seed = seed
+    return body
+  }
+  
+  /**
+   * 将Koishi消息格式转换为OpenAI格式
+   * @param {Array} koishiMessages - Koishi格式的消息数组
+   * @returns {Array} - OpenAI API格式的消息数组
+   */
+  formatMessages(koishiMessages) {
+    return koishiMessages.map((msg) => {
+      // 工具调用结果
+      if (msg.role === 'tool') {
+        return { role: 'tool', tool_call_id: msg.toolCallId, content: msg.content }
+      }
+      
+      // 助手发起的工具调用
+      if (msg.toolCalls?.length) {
+        return {
+          role: 'assistant',
+          content: msg.content || null,
+          tool_calls: msg.toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+          }))
+        }
+      }
+      
+      if (!Array.isArray(msg.content)) return msg
+      
+      // 包含图片的消息转换为内容片段数组
+      const content = msg.content.map((part) => {
+        if (part.type !== 'image') return { type: 'text', text: part.text }
+        const url = part.data ? `data:${part.mimeType};base64,${part.data}` : part.url
+        return { type: 'image_url', image_url: { url } }
+      })
+      return { role: msg.role, content }
+    })
+  }
+  
+  /**
+   * 将工具定义转换为OpenAI格式
+   * @param {Array} tools - 工具定义
+   * @returns {Array} - OpenAI API格式的工具列表
+   */
+  formatTools(tools) {
+    return tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      }
+    }))
   }
   
   /**
    * 生成回复
    * @param {Array} messages - 对话历史消息
    * @param {Object} session - Koishi会话对象
+   * @param {Object} [options] - 本次请求的参数覆盖，如 modelName、temperature，onUsage 用于接收令牌用量
    * @returns {Promise<string>} - 生成的回复文本
    */
-  async generateResponse(messages, session) {
-    this.ctx.logger.debug(`向OpenAI发送请求，消息数: ${messages.length}`)
+  async generateResponse(messages, session, options = {}) {
+    const { text } = await this.complete(messages, session, [], options)
+    return text
+  }
+  
+  /**
+   * 生成回复，允许模型调用工具
+   * @param {Array} messages - 对话历史消息
+   * @param {Object} session - Koishi会话对象
+   * @param {Array} tools - 可用的工具定义
+   * @param {Object} [options] - 本次请求的参数覆盖
+   * @returns {Promise<{text: string, toolCalls: Array}>} - 回复文本和模型请求的工具调用
+   */
+  async generateToolResponse(messages, session, tools, options = {}) {
+    return this.complete(messages, session, tools, options)
+  }
+  
+  /**
+   * 发送非流式请求
+   * @param {Array} messages - 对话历史消息
+   * @param {Object} session - Koishi会话对象
+   * @param {Array} [tools] - 可用的工具定义
+   * @param {Object} [options] - 本次请求的参数覆盖
+   * @returns {Promise<{text: string, toolCalls: Array}>}
+   */
+  async complete(messages, session, tools = [], options = {}) {
+    this.ctx.logger.debug(`向${this.label}发送请求，消息数: ${messages.length}`)
     
     try {
-      // 设置超时
-      const timeout = 60000 // 60秒超时
-      const controller = new AbortController()
-      const timeoutId = setTimeout(() => controller.abort(), timeout)
-      
-      // 构建API请求
-      const response = await fetch(`${this.apiEndpoint}/chat/completions`, {
+      // 构建API请求，可重试的错误会自动重试
+      const data = await requestJSON(this.ctx, `${this.apiEndpoint}/chat/completions`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: JSON.stringify({
-          model: this.modelName,
-          messages: messages,
-          temperature: this.temperature,
-          user: session.userId, // 传递用户ID以便OpenAI分析滥用情况
-        }),
-        signal: controller.signal
-      })
-      
-      // 清除超时定时器
-      clearTimeout(timeoutId)
-      
-      if (!response.ok) {
-        const error = await response.json().catch(() => ({}))
-        this.ctx.logger.error(`OpenAI API请求失败: ${response.status} ${response.statusText}`, error)
-        throw new Error(`API请求失败: ${response.status} ${response.statusText}${error.error?.message ? ': ' + error.error.message : ''}`)
-      }
-      
-      const data = await response.json()
+        headers: this.getHeaders(),
+        body: {
+          ...this.buildBody(messages, session, options),
+          ...tools.length ? { tools: this.formatTools(tools) } : {}
+        }
+      }, this.requestOptions)
       
       // 检查响应格式
       if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-        this.ctx.logger.error('OpenAI返回了无效的响应格式', data)
+        this.ctx.logger.error(`${this.label}返回了无效的响应格式`, data)
         throw new Error('收到无效的API响应')
       }
       
       // 记录令牌使用情况
       if (data.usage) {
         this.ctx.logger.debug(`使用了 ${data.usage.total_tokens} 个令牌 (提示: ${data.usage.prompt_tokens}, 完成: ${data.usage.completion_tokens})`)
+        options.onUsage?.({ promptTokens: data.usage.prompt_tokens, completionTokens: data.usage.completion_tokens })
+      }
+      
+      const { message, finish_reason: finishReason } = data.choices[0]
+      if (finishReason === 'content_filter' && !message.content) {
+        throw new ModelError(ErrorType.CONTENT_FILTER, '回复被内容过滤拦截')
       }
+      const toolCalls = (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: parseArguments(call.function.arguments)
+      }))
       
-      return data.choices[0].message.content.trim()
+      return { text: (message.content || '').trim(), toolCalls }
     } catch (error) {
-      this.ctx.logger.error('OpenAI请求失败:', error)
-      if (error.name === 'AbortError') {
-        throw new Error('请求超时，请稍后再试')
-      } else if (error.message.includes('429')) {
-        throw new Error('请求过于频繁，请稍后再试')
-      } else if (error.message.includes('401')) {
-        throw new Error('API密钥无效或已过期')
-      } else if (error.message.includes('insufficient_quota')) {
-        throw new Error('API配额已用尽')
+      this.ctx.logger.error(`${this.label}请求失败:`, error)
+      throw toModelError(error)
+    }
+  }
+  
+  /**
+   * 以流式方式生成回复
+   * @param {Array} messages - 对话历史消息
+   * @param {Object} session - Koishi会话对象
+   * @param {Function} onToken - 每收到一段文本时调用，参数为(增量文本, 当前完整文本)
+   * @param {Object} [options] - 本次请求的参数覆盖
+   * @returns {Promise<string>} - 生成的完整回复文本
+   */
+  async generateStreamResponse(messages, session, onToken, options = {}) {
+    this.ctx.logger.debug(`向${this.label}发送流式请求，消息数: ${messages.length}`)
+    
+    try {
+      const events = requestStream(this.ctx, `${this.apiEndpoint}/chat/completions`, {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: {
+          ...this.buildBody(messages, session, options),
+          stream: true,
+          stream_options: { include_usage: true }
+        }
+      }, this.requestOptions)
+      
+      let text = ''
+      for await (const { data } of events) {
+        if (data === '[DONE]') break
+        
+        const chunk = JSON.parse(data)
+        if (chunk.error) {
+          throw new ModelError(ErrorType.SERVER, `API请求失败: ${chunk.error.message || JSON.stringify(chunk.error)}`)
+        }
+        if (chunk.choices?.[0]?.finish_reason === 'content_filter' && !text) {
+          throw new ModelError(ErrorType.CONTENT_FILTER, '回复被内容过滤拦截')
+        }
+        
+        // 最后一个数据块只包含令牌使用情况
+        if (chunk.usage) {
+          this.ctx.logger.debug(`使用了 ${chunk.usage.total_tokens} 个令牌 (提示: ${chunk.usage.prompt_tokens}, 完成: ${chunk.usage.completion_tokens})`)
+          options.onUsage?.({ promptTokens: chunk.usage.prompt_tokens, completionTokens: chunk.usage.completion_tokens })
+        }
+        
+        const delta = chunk.choices?.[0]?.delta?.content
+        if (delta) {
+          text += delta
+          await onToken(delta, text)
+        }
       }
-      throw error
+      
+      return text.trim()
+    } catch (error) {
+      this.ctx.logger.error(`${this.label}流式请求失败:`, error)
+      throw toModelError(error)
     }
   }
   
+  /**
+   * 查询接口提供的模型列表
+   * @returns {Promise<Array<string>>} - 模型名称
+   */
+  async listModels() {
+    const data = await requestJSON(this.ctx, `${this.apiEndpoint}/models`, {
+      method: 'GET',
+      headers: this.getHeaders()
+    }, this.requestOptions)
+    return (data.data || []).map(model => model.id).sort()
+  }
+  
   /**
    * 当插件卸载时清理资源
    */
   async dispose() {
     // OpenAI适配器不需要特别的清理工作
-    this.ctx.logger.debug('OpenAI适配器资源已清理')
+    this.ctx.logger.debug(`${this.label}适配器资源已清理`)
   }
 }
 
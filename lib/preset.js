@@ -0,0 +1,269 @@
+const { isPrivateSession } = require('./context')
+
+// 设置预设相关的表结构
+function setupPresetTables(ctx) {
+  // 用于存储预设
+  ctx.model.extend('chatModelPreset', {
+    id: 'unsigned',
+    // 预设名称，在同一创建者的预设中唯一，共享预设另成一组
+    name: 'string',
+    // 创建者，为空表示共享预设
+    owner: 'string',
+    // 系统提示词
+    systemPrompt: 'text',
+    // 温度参数，为空表示使用全局配置
+    temperature: { type: 'double', nullable: true },
+    // 模型名称，为空表示使用全局配置
+    modelName: 'string',
+    // 最后更新时间
+    updatedAt: 'timestamp'
+  }, {
+    autoInc: true,
+    unique: [['owner', 'name']]
+  })
+
+  // 用于存储用户或频道当前使用的预设
+  ctx.model.extend('chatModelActivePreset', {
+    // 形如 user:平台:用户ID 或 channel:平台:频道ID
+    id: 'string',
+    // 预设ID
+    preset: 'unsigned'
+  }, {
+    primary: 'id'
+  })
+}
+
+// 获取用户作为预设创建者时的标识
+function getOwnerKey(session) {
+  return `${session.platform}:${session.userId}`
+}
+
+// 获取预设绑定的键
+function getBindingKey(session, target) {
+  return target === 'channel'
+    ? `channel:${session.platform}:${session.channelId}`
+    : `user:${session.platform}:${session.userId}`
+}
+
+/**
+ * 按名称获取用户可以使用的预设
+ * 个人预设与共享预设同名时优先使用个人预设
+ * @param {Object} ctx - Koishi上下文
+ * @param {Object} session - Koishi会话对象
+ * @param {string} name - 预设名称
+ * @param {boolean} [shared] - 只查找共享预设
+ * @returns {Promise<Object|null>}
+ */
+async function getPreset(ctx, session, name, shared = false) {
+  const owner = getOwnerKey(session)
+  const records = await ctx.database.get('chatModelPreset', {
+    name,
+    owner: shared ? [''] : ['', owner]
+  })
+  return records.find(preset => preset.owner === owner) || records[0] || null
+}
+
+// 按名称获取共享预设
+async function getSharedPreset(ctx, name) {
+  const records = await ctx.database.get('chatModelPreset', { name, owner: '' })
+  return records[0] || null
+}
+
+/**
+ * 获取会话当前生效的预设
+ * 优先级：用户选择的预设 > 频道选择的预设 > 配置中的默认预设
+ * @param {Object} ctx - Koishi上下文
+ * @param {Object} session - Koishi会话对象
+ * @param {Object} config - 插件配置
+ * @returns {Promise<Object|null>} - 预设，没有生效的预设时返回null
+ */
+async function resolvePreset(ctx, session, config) {
+  try {
+    const keys = [getBindingKey(session, 'user')]
+    if (!isPrivateSession(session)) keys.push(getBindingKey(session, 'channel'))
+
+    const bindings = await ctx.database.get('chatModelActivePreset', { id: keys })
+    const id = keys
+      .map(key => bindings.find(binding => binding.id === key)?.preset)
+      .find(Boolean)
+    if (id) {
+      const [preset] = await ctx.database.get('chatModelPreset', { id })
+      if (preset && canUse(session, preset)) return preset
+    }
+
+    // 配置中的默认预设为共享预设
+    const name = config.defaultPreset
+    if (!name) return null
+    const preset = await getSharedPreset(ctx, name)
+    if (!preset) ctx.logger.warn(`预设 ${name} 不存在，将使用默认配置`)
+    return preset
+  } catch (error) {
+    ctx.logger.error(`读取预设失败: ${error.message}`)
+    return null
+  }
+}
+
+/**
+ * 按名称获取用户可以使用的预设
+ * @param {Object} ctx - Koishi上下文
+ * @param {Object} session - Koishi会话对象
+ * @param {string} name - 预设名称
+ * @returns {Promise<Object|null>} - 预设不存在或属于其他用户时返回null
+ */
+async function findUsablePreset(ctx, session, name) {
+  return getPreset(ctx, session, name)
+}
+
+// 判断用户是否可以修改预设
+function canManage(session, preset, config) {
+  if (preset.owner && preset.owner === getOwnerKey(session)) return true
+  return (session.user?.authority ?? 0) >= config.presetAuthority
+}
+
+// 判断用户是否可以使用预设
+function canUse(session, preset) {
+  return !preset.owner || preset.owner === getOwnerKey(session)
+}
+
+// 格式化预设信息
+function formatPreset(preset) {
+  const lines = [`预设: ${preset.name}${preset.owner ? '' : ' (共享)'}`]
+  if (preset.modelName) lines.push(`模型: ${preset.modelName}`)
+  if (preset.temperature !== null && preset.temperature !== undefined) lines.push(`温度: ${preset.temperature}`)
+  lines.push(`系统提示词: ${preset.systemPrompt}`)
+  return lines.join('\n')
+}
+
+// 校验温度参数
+function isValidTemperature(value) {
+  return value === undefined || (value >= 0 && value <= 2)
+}
+
+/**
+ * 注册预设管理命令
+ * @param {Object} ctx - Koishi上下文
+ * @param {Object} config - 插件配置
+ */
+function applyPresetCommands(ctx, config) {
+  ctx.command('预设', '管理AI助手的人设预设')
+
+  ctx.command('预设.列表', '列出可用的预设')
+    .action(async ({ session }) => {
+      const presets = await ctx.database.get('chatModelPreset', {
+        owner: ['', getOwnerKey(session)]
+      })
+      if (presets.length === 0) return '当前没有可用的预设'
+
+      const active = await resolvePreset(ctx, session, config)
+      return ['可用的预设:', ...presets.map((preset) => {
+        const marks = [
+          preset.owner ? '' : '共享',
+          preset.id === active?.id ? '使用中' : ''
+        ].filter(Boolean)
+        return `- ${preset.name}${marks.length ? ` (${marks.join(', ')})` : ''}`
+      })].join('\n')
+    })
+
+  ctx.command('预设.查看 [name:string]', '查看预设的详细内容，不填名称则查看当前使用的预设')
+    .option('shared', '-s 查看同名的共享预设')
+    .action(async ({ session, options }, name) => {
+      const preset = name
+        ? await getPreset(ctx, session, name, options.shared)
+        : await resolvePreset(ctx, session, config)
+      if (!preset) {
+        return name ? `预设 ${name} 不存在` : '当前没有使用预设'
+      }
+      return formatPreset(preset)
+    })
+
+  ctx.command('预设.创建 <name:string> <prompt:text>', '创建新的预设')
+    .userFields(['authority'])
+    .option('temperature', '-t <value:number> 温度参数(0-2之间)')
+    .option('model', '-m <model:string> 模型名称', { authority: config.modelOverrideAuthority ?? 3 })
+    .option('shared', '-s 创建所有人可用的共享预设', { authority: config.presetAuthority })
+    .action(async ({ session, options }, name, prompt) => {
+      if (!name || !prompt) return '请提供预设名称和系统提示词'
+      if (!isValidTemperature(options.temperature)) return '温度参数必须在0-2之间'
+      const owner = options.shared ? '' : getOwnerKey(session)
+      if ((await ctx.database.get('chatModelPreset', { name, owner })).length) {
+        return `${options.shared ? '共享' : ''}预设 ${name} 已存在`
+      }
+
+      await ctx.database.create('chatModelPreset', {
+        name,
+        owner,
+        systemPrompt: prompt,
+        temperature: options.temperature ?? null,
+        modelName: options.model || '',
+        updatedAt: new Date()
+      })
+      return `已创建${options.shared ? '共享' : ''}预设 ${name}`
+    })
+
+  ctx.command('预设.编辑 <name:string> [prompt:text]', '修改预设的系统提示词或参数')
+    .userFields(['authority'])
+    .option('temperature', '-t <value:number> 温度参数(0-2之间)')
+    .option('model', '-m <model:string> 模型名称', { authority: config.modelOverrideAuthority ?? 3 })
+    .option('reset', '-r 清除温度和模型设置，恢复使用全局配置')
+    .option('shared', '-s 修改同名的共享预设')
+    .action(async ({ session, options }, name, prompt) => {
+      const preset = name && await getPreset(ctx, session, name, options.shared)
+      if (!preset) return `预设 ${name} 不存在`
+      if (!canManage(session, preset, config)) return '权限不足，无法修改共享预设'
+      if (!isValidTemperature(options.temperature)) return '温度参数必须在0-2之间'
+
+      const update = { updatedAt: new Date() }
+      if (prompt) update.systemPrompt = prompt
+      if (options.reset) {
+        update.temperature = null
+        update.modelName = ''
+      }
+      if (options.temperature !== undefined) update.temperature = options.temperature
+      if (options.model) update.modelName = options.model
+      if (Object.keys(update).length === 1) return '请提供需要修改的内容'
+
+      await ctx.database.set('chatModelPreset', { id: preset.id }, update)
+      return `已更新预设 ${name}`
+    })
+
+  ctx.command('预设.删除 <name:string>', '删除预设')
+    .userFields(['authority'])
+    .option('shared', '-s 删除同名的共享预设')
+    .action(async ({ session, options }, name) => {
+      const preset = name && await getPreset(ctx, session, name, options.shared)
+      if (!preset) return `预设 ${name} 不存在`
+      if (!canManage(session, preset, config)) return '权限不足，无法删除共享预设'
+
+      await ctx.database.remove('chatModelPreset', { id: preset.id })
+      await ctx.database.remove('chatModelActivePreset', { preset: preset.id })
+      return `已删除预设 ${name}`
+    })
+
+  ctx.command('预设.切换 [name:string]', '切换当前使用的预设，不填名称则恢复默认')
+    .option('channel', '-c 为当前频道切换预设', { authority: config.presetAuthority })
+    .option('shared', '-s 使用同名的共享预设')
+    .action(async ({ session, options }, name) => {
+      if (options.channel && isPrivateSession(session)) return '只能在群聊中为频道切换预设'
+      const id = getBindingKey(session, options.channel ? 'channel' : 'user')
+      const target = options.channel ? '当前频道' : '你'
+
+      if (!name) {
+        await ctx.database.remove('chatModelActivePreset', { id })
+        return `${target}已恢复使用默认预设`
+      }
+
+      // 频道中所有人都会使用频道预设，因此只能选择共享预设
+      const preset = await getPreset(ctx, session, name, options.channel || options.shared)
+      if (!preset) return `${options.channel ? '共享' : ''}预设 ${name} 不存在`
+
+      await ctx.database.upsert('chatModelActivePreset', [{ id, preset: preset.id }])
+      return `${target}已切换到预设 ${name}`
+    })
+}
+
+module.exports = {
+  setupPresetTables,
+  resolvePreset,
+  findUsablePreset,
+  applyPresetCommands
+}
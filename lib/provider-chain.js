@@ -0,0 +1,251 @@
+const { ErrorType, ModelError, NETWORK_ERROR_CODES } = require('./http')
+
+// 除5xx外，视为临时故障、可以切换到下一个提供方的HTTP状态码
+const RETRYABLE_STATUS = [408, 409, 429]
+
+// 可以切换到下一个提供方的错误类型，配额用尽时其他提供方仍可能可用
+const FALLBACK_TYPES = [ErrorType.RATE_LIMIT, ErrorType.QUOTA, ErrorType.TIMEOUT, ErrorType.SERVER, ErrorType.NETWORK]
+
+/**
+ * 判断错误是否为可切换提供方重试的临时错误
+ * 内置适配器抛出 ModelError，按错误类型判断；自定义适配器的错误按状态码和错误码判断
+ * @param {Error} error - 适配器抛出的错误
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current instanceof ModelError && current.type !== ErrorType.UNKNOWN) {
+      return FALLBACK_TYPES.includes(current.type)
+    }
+    if (current.name === 'AbortError') return true
+    if (RETRYABLE_STATUS.includes(current.status) || current.status >= 500) return true
+    if (NETWORK_ERROR_CODES.includes(current.code)) return true
+  }
+  return false
+}
+
+// 提供方自己的连接配置，只在类型与顶层配置相同时沿用顶层的值
+const CONNECTION_KEYS = ['apiKey', 'apiEndpoint', 'modelName']
+
+/**
+ * 合并顶层配置和提供方配置
+ * 温度、生成参数和重试等调优选项总是沿用顶层配置；密钥、地址和模型名称只在类型相同时沿用，
+ * 类型不同时未填写的项使用适配器的默认值，避免把其他服务的密钥发送到当前服务
+ * @param {Object} config - 插件配置
+ * @param {Object} provider - 提供方配置
+ * @returns {Object} - 提供方使用的完整配置
+ */
+function createProviderConfig(config, provider) {
+  const providerConfig = { ...config, modelType: provider.modelType || config.modelType }
+  for (const key of CONNECTION_KEYS) {
+    if (provider[key]) providerConfig[key] = provider[key]
+    else if (providerConfig.modelType !== config.modelType) delete providerConfig[key]
+  }
+  return providerConfig
+}
+
+/**
+ * 多提供方回退链
+ * 按顺序尝试配置的各个提供方，遇到可重试的错误时切换到下一个，
+ * 并将失败的提供方标记为不健康，在冷却时间内优先跳过。
+ * 对外提供与单个适配器相同的接口。
+ */
+class ProviderChain {
+  /**
+   * @param {Object} ctx - Koishi上下文
+   * @param {Object} config - 插件配置
+   * @param {Function} loadModelAdapter - 根据配置加载适配器类的函数
+   */
+  constructor(ctx, config, loadModelAdapter) {
+    this.ctx = ctx
+    this.config = config
+    this.cooldown = (config.providerCooldown ?? 60) * 1000
+
+    // 未配置提供方列表时，使用顶层配置作为唯一的提供方
+    const providers = config.providers?.length
+      ? config.providers
+      : [{ modelType: config.modelType, apiKey: config.apiKey, apiEndpoint: config.apiEndpoint, modelName: config.modelName }]
+
+    this.providers = providers.map((provider, index) => {
+      const providerConfig = createProviderConfig(config, provider)
+      const ModelAdapter = loadModelAdapter(ctx, providerConfig)
+      const adapter = new ModelAdapter(ctx, providerConfig)
+      return {
+        name: `#${index + 1} ${providerConfig.modelType}/${adapter.modelName || providerConfig.modelName || 'default'}`,
+        type: providerConfig.modelType,
+        adapter,
+        unhealthyUntil: 0,
+        failures: 0
+      }
+    })
+
+    // 与单个适配器保持一致，便于日志输出
+    this.modelName = this.providers[0].adapter.modelName
+  }
+
+  /**
+   * 获取本次请求的尝试顺序：健康的提供方按配置顺序在前，
+   * 处于冷却中的提供方按恢复时间排在后面作为最后手段
+   * @returns {Array}
+   */
+  getCandidates() {
+    const now = Date.now()
+    const healthy = this.providers.filter(p => p.unhealthyUntil <= now)
+    const cooling = this.providers
+      .filter(p => p.unhealthyUntil > now)
+      .sort((a, b) => a.unhealthyUntil - b.unhealthyUntil)
+    return [...healthy, ...cooling]
+  }
+
+  // 标记提供方请求成功
+  markHealthy(provider) {
+    if (provider.failures > 0) {
+      this.ctx.logger.info(`提供方 ${provider.name} 已恢复`)
+    }
+    provider.failures = 0
+    provider.unhealthyUntil = 0
+  }
+
+  // 标记提供方请求失败，进入冷却
+  markUnhealthy(provider, error) {
+    provider.failures++
+    provider.unhealthyUntil = Date.now() + this.cooldown
+    this.ctx.logger.warn(`提供方 ${provider.name} 请求失败(连续 ${provider.failures} 次)，冷却 ${this.cooldown / 1000} 秒: ${error.message}`)
+  }
+
+  /**
+   * 获取提供方本次请求使用的参数
+   * 预设或命令指定的模型名称是针对主提供方的，只传给与主提供方类型相同的提供方，
+   * 其他类型的提供方使用各自配置的模型；同时为用量回调补充提供方、模型和耗时信息
+   * @param {Object} provider - 提供方
+   * @param {Object} options - 本次请求的参数
+   * @returns {Object} - 新的请求参数
+   */
+  getOptions(provider, options) {
+    if (options.modelName && provider.type !== this.providers[0].type) {
+      options = { ...options, modelName: undefined }
+    }
+    if (!options.onUsage) return options
+    const startedAt = Date.now()
+    return {
+      ...options,
+      onUsage: usage => options.onUsage({
+        ...usage,
+        provider: provider.type,
+        modelName: options.modelName || provider.adapter.modelName,
+        latency: Date.now() - startedAt
+      })
+    }
+  }
+
+  /**
+   * 依次尝试各提供方执行请求
+   * @param {Function} request - 接收提供方并返回Promise的函数
+   * @param {Function} [canFallback] - 额外判断是否允许切换到下一个提供方
+   * @returns {Promise<string>}
+   */
+  async run(request, canFallback = () => true) {
+    const candidates = this.getCandidates()
+    let lastError
+
+    for (let i = 0; i < candidates.length; i++) {
+      const provider = candidates[i]
+      try {
+        const response = await request(provider)
+        this.markHealthy(provider)
+        this.ctx.logger.info(`本次回复由提供方 ${provider.name} 生成`)
+        return response
+      } catch (error) {
+        lastError = error
+        if (!isRetryableError(error)) throw error
+        this.markUnhealthy(provider, error)
+        if (!canFallback()) throw error
+        if (i < candidates.length - 1) {
+          this.ctx.logger.info(`切换到下一个提供方 ${candidates[i + 1].name}`)
+        }
+      }
+    }
+
+    throw lastError
+  }
+
+  /**
+   * 生成回复
+   * @param {Array} messages - 对话历史消息
+   * @param {Object} session - Koishi会话对象
+   * @param {Object} [options] - 本次请求的参数覆盖，如 modelName、temperature，onUsage 用于接收令牌用量
+   * @returns {Promise<string>} - 生成的回复文本
+   */
+  async generateResponse(messages, session, options = {}) {
+    return this.run(provider => provider.adapter.generateResponse(messages, session, this.getOptions(provider, options)))
+  }
+
+  /**
+   * 生成回复，允许模型调用工具
+   * 不支持工具调用的适配器直接生成普通回复
+   * @param {Array} messages - 对话历史消息
+   * @param {Object} session - Koishi会话对象
+   * @param {Array} tools - 可用的工具定义
+   * @param {Object} [options] - 本次请求的参数覆盖
+   * @returns {Promise<{text: string, toolCalls: Array}>} - 回复文本和模型请求的工具调用
+   */
+  async generateToolResponse(messages, session, tools, options = {}) {
+    return this.run(async (provider) => {
+      const { adapter } = provider
+      const tracked = this.getOptions(provider, options)
+      if (adapter.generateToolResponse) {
+        return adapter.generateToolResponse(messages, session, tools, tracked)
+      }
+      return { text: await adapter.generateResponse(messages, session, tracked), toolCalls: [] }
+    })
+  }
+
+  /**
+   * 以流式方式生成回复
+   * 已经输出部分内容后不再切换提供方，以免回复内容前后不一致
+   * @param {Array} messages - 对话历史消息
+   * @param {Object} session - Koishi会话对象
+   * @param {Function} onToken - 每收到一段文本时调用
+   * @param {Object} [options] - 本次请求的参数覆盖
+   * @returns {Promise<string>} - 生成的完整回复文本
+   */
+  async generateStreamResponse(messages, session, onToken, options = {}) {
+    let emitted = false
+    const forward = (delta, text) => {
+      emitted = true
+      return onToken(delta, text)
+    }
+
+    return this.run((provider) => {
+      const { adapter } = provider
+      const tracked = this.getOptions(provider, options)
+      return adapter.generateStreamResponse
+        ? adapter.generateStreamResponse(messages, session, forward, tracked)
+        : adapter.generateResponse(messages, session, tracked)
+    }, () => !emitted)
+  }
+
+  /**
+   * 查询各提供方可用的模型列表
+   * @returns {Promise<Array<{name: string, models?: Array<string>, error?: string}>>}
+   */
+  async listModels() {
+    return Promise.all(this.providers.map(async ({ name, adapter }) => {
+      if (!adapter.listModels) return { name, error: '该适配器不支持查询模型列表' }
+      try {
+        return { name, models: await adapter.listModels() }
+      } catch (error) {
+        return { name, error: error.message }
+      }
+    }))
+  }
+
+  /**
+   * 当插件卸载时清理资源
+   */
+  async dispose() {
+    await Promise.all(this.providers.map(p => p.adapter.dispose?.()))
+  }
+}
+
+module.exports = { ProviderChain, isRetryableError }
@@ -0,0 +1,95 @@
+/**
+ * 计数信号量，用于限制同时进行的请求数
+ */
+class Semaphore {
+  /**
+   * @param {number} limit - 最大并发数，0表示不限制
+   */
+  constructor(limit) {
+    this.limit = limit || 0
+    this.active = 0
+    this.waiting = []
+  }
+
+  // 获取一个名额，没有空闲名额时等待
+  async acquire() {
+    if (!this.limit || this.active < this.limit) {
+      this.active++
+      return
+    }
+    // 名额由 release 直接转交，active 不变
+    await new Promise(resolve => this.waiting.push(resolve))
+  }
+
+  // 释放名额，优先转交给等待中的请求
+  release() {
+    const next = this.waiting.shift()
+    if (next) next()
+    else this.active--
+  }
+}
+
+/**
+ * 按上下文排队的消息队列
+ * 同一上下文同时只处理一条请求，避免并发请求互相覆盖对话历史。
+ * merge 模式下，同一用户在等待期间连续发送的消息会合并为一轮对话。
+ */
+class ContextQueue {
+  /**
+   * @param {Object} config - 插件配置
+   */
+  constructor(config) {
+    this.merge = config.queueMode === 'merge'
+    // 每个上下文最多排队的消息数，0表示不排队，上下文正在处理时直接拒绝新消息
+    this.maxSize = config.maxQueueSize ?? 3
+    this.queues = new Map()
+  }
+
+  /**
+   * 进入上下文队列，轮到本次请求时返回需要处理的消息
+   * 处理完成后必须调用 release 释放队列
+   * @param {string} key - 上下文键
+   * @param {Object} session - Koishi会话对象
+   * @param {string|Array} input - 消息内容
+   * @param {boolean} [merge] - 是否允许与同一用户的其他消息合并，默认按配置
+   * @returns {Promise<Array|null>} - 需要处理的消息列表；合并到其他请求时为空数组；队列已满时返回null
+   */
+  async acquire(key, session, input, merge = this.merge) {
+    let queue = this.queues.get(key)
+    if (!queue) {
+      queue = { waiting: [] }
+      this.queues.set(key, queue)
+      return [input]
+    }
+
+    const queued = queue.waiting.reduce((count, entry) => count + entry.inputs.length, 0)
+    if (queued >= this.maxSize) return null
+
+    // 合并到同一用户尚未开始处理的请求中
+    const last = queue.waiting[queue.waiting.length - 1]
+    if (merge && last?.userId === session.userId) {
+      last.inputs.push(input)
+      return []
+    }
+
+    // 不允许合并的请求不记录用户，之后的消息也不会合并进来
+    const entry = { userId: merge ? session.userId : null, inputs: [input] }
+    queue.waiting.push(entry)
+    await new Promise((resolve) => { entry.resolve = resolve })
+    return entry.inputs
+  }
+
+  /**
+   * 当前请求处理完成，轮到下一条请求
+   * @param {string} key - 上下文键
+   */
+  release(key) {
+    const queue = this.queues.get(key)
+    if (!queue) return
+    const next = queue.waiting.shift()
+    if (next) next.resolve()
+    else this.queues.delete(key)
+  }
+}
+
+module.exports = { Semaphore, ContextQueue }
@@ -0,0 +1,328 @@
+const { isPrivateSession } = require('./context')
+
+// 突发限制的统计窗口
+const BURST_WINDOW = 60 * 1000
+
+// 存储使用统计的表
+const TABLE = 'chatModelQuota'
+
+// 旧版本以用户ID为主键的使用统计表，只用于迁移
+const LEGACY_TABLE = 'chatModelUsage'
+
+// 设置使用统计表结构
+function setupQuotaTable(ctx) {
+  ctx.model.extend(TABLE, {
+    // 形如 user:平台:用户ID 或 channel:平台:频道ID
+    id: 'string',
+    // 当前周期的消息计数
+    dailyCount: 'integer',
+    // 当前周期的令牌用量
+    dailyTokens: 'integer',
+    // 当前计数所属的周期(重置时刻所在日期)
+    lastResetDate: 'string'
+  }, {
+    primary: 'id'
+  })
+
+  // 保持旧表的结构不变，以便读取其中的记录
+  ctx.model.extend(LEGACY_TABLE, {
+    userId: 'string',
+    dailyCount: 'integer',
+    lastResetDate: 'string'
+  }, {
+    primary: 'userId'
+  })
+}
+
+// 解析 HH:mm 格式的重置时间，返回当天的分钟数
+function parseResetTime(resetTime) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(resetTime || '')
+  if (!match) return 0
+  return (Number(match[1]) % 24) * 60 + Number(match[2]) % 60
+}
+
+// 获取指定时区的当前日期和时间
+function getZonedTime(now, timezone) {
+  const options = {
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }
+  let formatter
+  try {
+    formatter = new Intl.DateTimeFormat('en-US', { ...options, timeZone: timezone || undefined })
+  } catch {
+    // 时区无效时使用服务器时区
+    formatter = new Intl.DateTimeFormat('en-US', options)
+  }
+  const parts = Object.fromEntries(formatter.formatToParts(now).map(part => [part.type, part.value]))
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  }
+}
+
+/**
+ * 计算当前时间所属的计数周期
+ * 每个周期从配置的重置时刻开始，以周期开始的日期(YYYY-MM-DD)作为标识
+ * @param {Date} now - 当前时间
+ * @param {Object} usageLimit - 使用限制配置
+ * @returns {{period: string, minutesUntilReset: number}}
+ */
+function getQuotaPeriod(now, usageLimit) {
+  const { year, month, day, minutes } = getZonedTime(now, usageLimit.timezone)
+  const reset = parseResetTime(usageLimit.resetTime)
+  const date = new Date(Date.UTC(year, month - 1, day))
+  if (minutes < reset) date.setUTCDate(date.getUTCDate() - 1)
+
+  return {
+    period: date.toISOString().split('T')[0],
+    minutesUntilReset: minutes < reset ? reset - minutes : 24 * 60 - minutes + reset
+  }
+}
+
+/**
+ * 获取用户适用的限额
+ * 用户权限等级达到的规则中，等级最高的一条覆盖默认限额
+ * @param {Object} usageLimit - 使用限制配置
+ * @param {number} authority - 用户权限等级
+ * @returns {{messages: number, tokens: number, burst: number}} - 0表示不限制
+ */
+function getUserLimits(usageLimit, authority) {
+  const limits = {
+    messages: usageLimit.maxMessagesPerUser ?? 100,
+    tokens: usageLimit.maxTokensPerUser || 0,
+    burst: usageLimit.burstLimit || 0
+  }
+  const rule = (usageLimit.authorityLimits || [])
+    .filter(rule => authority >= rule.authority)
+    .sort((a, b) => b.authority - a.authority)[0]
+  if (rule) {
+    limits.messages = rule.maxMessagesPerUser ?? limits.messages
+    limits.tokens = rule.maxTokensPerUser ?? limits.tokens
+    limits.burst = rule.burstLimit ?? limits.burst
+  }
+  return limits
+}
+
+// 用户统计的键
+function getUserKey(session) {
+  return `user:${session.platform}:${session.userId}`
+}
+
+// 频道统计的键
+function getChannelKey(session) {
+  return `channel:${session.platform}:${session.channelId}`
+}
+
+/**
+ * 用户使用限额管理
+ */
+class QuotaManager {
+  constructor(ctx, config) {
+    this.ctx = ctx
+    this.config = config
+    // 用户最近一分钟内成功对话的时间，用于突发限制
+    this.recent = new Map()
+    // 各统计记录进行中的更新，同一记录的更新依次执行
+    this.updating = new Map()
+  }
+
+  get usageLimit() {
+    return this.config.usageLimit || {}
+  }
+
+  get enabled() {
+    return !!this.usageLimit.enabled
+  }
+
+  /**
+   * 迁移旧表中用户的使用统计
+   * 旧版本只记录消息数，且以 UTC 日期作为周期，属于当前周期时才保留计数
+   * @param {string} id - 统计的键
+   * @param {string} period - 当前周期
+   * @returns {Promise<Object|null>} - 迁移后的记录，没有旧记录时返回null
+   */
+  async migrateLegacyUsage(id, period) {
+    const userId = /^user:[^:]*:(.+)$/.exec(id)?.[1]
+    if (!userId) return null
+
+    const records = await this.ctx.database.get(LEGACY_TABLE, { userId })
+    if (!records.length) return null
+
+    const legacy = records[0]
+    const record = {
+      id,
+      dailyCount: legacy.lastResetDate === period ? legacy.dailyCount || 0 : 0,
+      dailyTokens: 0,
+      lastResetDate: period
+    }
+    await this.ctx.database.upsert(TABLE, [record])
+    await this.ctx.database.remove(LEGACY_TABLE, { userId })
+    return record
+  }
+
+  // 读取当前周期的统计，跨周期的记录视为0，首次读取时迁移旧版本的记录
+  async getUsage(id, period) {
+    const records = await this.ctx.database.get(TABLE, { id })
+    const record = records[0] || await this.migrateLegacyUsage(id, period)
+    if (!record || record.lastResetDate !== period) {
+      return { dailyCount: 0, dailyTokens: 0 }
+    }
+    return { dailyCount: record.dailyCount || 0, dailyTokens: record.dailyTokens || 0 }
+  }
+
+  // 获取用户的权限等级
+  async getAuthority(session) {
+    try {
+      const user = await session.observeUser(['authority'])
+      return user.authority ?? 0
+    } catch {
+      return 0
+    }
+  }
+
+  // 清理超出窗口的突发记录
+  getRecent(userKey, now) {
+    const timestamps = (this.recent.get(userKey) || []).filter(time => now - time < BURST_WINDOW)
+    if (timestamps.length) this.recent.set(userKey, timestamps)
+    else this.recent.delete(userKey)
+    return timestamps
+  }
+
+  /**
+   * 检查本次请求是否超出限额
+   * @param {Object} session - Koishi会话对象
+   * @returns {Promise<string|null>} - 超出限额时返回提示信息，否则返回null
+   */
+  async check(session) {
+    if (!this.enabled) return null
+
+    const now = Date.now()
+    const { period } = getQuotaPeriod(new Date(now), this.usageLimit)
+    const userKey = getUserKey(session)
+    const limits = getUserLimits(this.usageLimit, await this.getAuthority(session))
+
+    const recent = this.getRecent(userKey, now)
+    if (limits.burst && recent.length >= limits.burst) {
+      return '发送太频繁了，请稍后再试'
+    }
+
+    const usage = await this.getUsage(userKey, period)
+    if (limits.messages && usage.dailyCount >= limits.messages) {
+      return '今日对话次数已达上限，请明天再来'
+    }
+    if (limits.tokens && usage.dailyTokens >= limits.tokens) {
+      return '今日令牌用量已达上限，请明天再来'
+    }
+
+    const channelLimit = this.usageLimit.maxMessagesPerChannel || 0
+    if (channelLimit && !isPrivateSession(session)) {
+      const channelUsage = await this.getUsage(getChannelKey(session), period)
+      if (channelUsage.dailyCount >= channelLimit) {
+        return '本群今日对话次数已达上限，请明天再来'
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * 依次执行同一记录的更新，避免并发的读取-修改-写入互相覆盖
+   * @param {string} id - 统计记录的键
+   * @param {Function} task - 更新函数
+   * @returns {Promise}
+   */
+  async serialize(id, task) {
+    const current = (this.updating.get(id) || Promise.resolve()).then(task)
+    const settled = current.catch(() => {})
+    this.updating.set(id, settled)
+    try {
+      return await current
+    } finally {
+      if (this.updating.get(id) === settled) this.updating.delete(id)
+    }
+  }
+
+  /**
+   * 记录一次成功的对话，同时计入突发限制
+   * @param {Object} session - Koishi会话对象
+   * @param {number} tokens - 本次对话消耗的令牌数
+   */
+  async record(session, tokens = 0) {
+    if (!this.enabled) return
+
+    const now = Date.now()
+    const { period } = getQuotaPeriod(new Date(now), this.usageLimit)
+    const userKey = getUserKey(session)
+    const keys = [userKey]
+    if (!isPrivateSession(session)) keys.push(getChannelKey(session))
+
+    const recent = this.getRecent(userKey, now)
+    recent.push(now)
+    this.recent.set(userKey, recent)
+
+    try {
+      for (const id of keys) {
+        await this.serialize(id, async () => {
+          const usage = await this.getUsage(id, period)
+          await this.ctx.database.upsert(TABLE, [{
+            id,
+            dailyCount: usage.dailyCount + 1,
+            dailyTokens: usage.dailyTokens + tokens,
+            lastResetDate: period
+          }])
+        })
+      }
+    } catch (error) {
+      this.ctx.logger.error(`更新使用统计失败: ${error.message}`)
+    }
+  }
+
+  /**
+   * 生成用户的剩余额度说明
+   * @param {Object} session - Koishi会话对象
+   * @returns {Promise<string>}
+   */
+  async describe(session) {
+    if (!this.enabled) return '当前没有启用使用限制'
+
+    const now = Date.now()
+    const { period, minutesUntilReset } = getQuotaPeriod(new Date(now), this.usageLimit)
+    const limits = getUserLimits(this.usageLimit, await this.getAuthority(session))
+    const usage = await this.getUsage(getUserKey(session), period)
+
+    const format = (used, limit) => limit ? `${used}/${limit}，剩余 ${Math.max(limit - used, 0)}` : `${used}/不限`
+    const lines = [
+      `今日对话次数: ${format(usage.dailyCount, limits.messages)}`,
+      `今日令牌用量: ${format(usage.dailyTokens, limits.tokens)}`
+    ]
+    if (limits.burst) {
+      lines.push(`每分钟最多 ${limits.burst} 条，最近一分钟已发送 ${this.getRecent(getUserKey(session), now).length} 条`)
+    }
+
+    const channelLimit = this.usageLimit.maxMessagesPerChannel || 0
+    if (channelLimit && !isPrivateSession(session)) {
+      const channelUsage = await this.getUsage(getChannelKey(session), period)
+      lines.push(`本群今日对话次数: ${format(channelUsage.dailyCount, channelLimit)}`)
+    }
+
+    const hours = Math.floor(minutesUntilReset / 60)
+    const minutes = minutesUntilReset % 60
+    lines.push(`距离额度重置还有 ${hours ? `${hours} 小时 ` : ''}${minutes} 分钟`)
+    return lines.join('\n')
+  }
+}
+
+module.exports = {
+  setupQuotaTable,
+  getZonedTime,
+  getQuotaPeriod,
+  getUserLimits,
+  QuotaManager
+}
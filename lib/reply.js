@@ -0,0 +1,255 @@
+const { h } = require('koishi')
+
+// 代码块的起止标记
+const FENCE = /^\s*(`{3,}|~{3,})/
+
+// 行内 Markdown 语法：行内代码、图片、链接、粗体、删除线、斜体
+const INLINE = /`([^`\n]+)`|!\[([^\]\n]*)\]\(([^)\s]+)\)|\[([^\]\n]+)\]\(([^)\s]+)\)|\*\*(.+?)\*\*|__(.+?)__|~~(.+?)~~|\*([^*\s](?:[^*\n]*[^*\s])?)\*/g
+
+// 表格的分隔行，如 |---|:---:|
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/
+
+/**
+ * 获取当前平台单条消息的最大长度
+ * @param {Object} session - Koishi会话对象
+ * @param {Object} config - 插件配置
+ * @returns {number} - 0表示不限制
+ */
+function getReplyLimit(session, config) {
+  return config.platformReplyLength?.[session.platform] ?? config.maxReplyLength ?? 0
+}
+
+/**
+ * 将 Markdown 文本拆分为段落和代码块
+ * @param {string} text - Markdown 文本
+ * @returns {Array<{text: string, fence?: string}>} - 代码块带有起始标记行
+ */
+function splitBlocks(text) {
+  const blocks = []
+  let lines = []
+  let fence = null
+
+  const flush = () => {
+    if (lines.length) blocks.push({ text: lines.join('\n'), fence: fence?.line })
+    lines = []
+  }
+
+  for (const line of text.split('\n')) {
+    const marker = line.match(FENCE)?.[1]
+    if (fence) {
+      lines.push(line)
+      // 代码块以相同字符且不短于起始标记的行结束
+      if (marker && marker[0] === fence.marker[0] && marker.length >= fence.marker.length && !line.trim().slice(marker.length)) {
+        flush()
+        fence = null
+      }
+    } else if (marker) {
+      flush()
+      fence = { marker, line }
+      lines.push(line)
+    } else if (!line.trim()) {
+      flush()
+    } else {
+      lines.push(line)
+    }
+  }
+  flush()
+  return blocks
+}
+
+// 按行拼接为不超过长度限制的片段，过长的单行直接截断
+function packLines(lines, limit) {
+  const chunks = []
+  let current = ''
+  for (let line of lines) {
+    while (line.length > limit) {
+      if (current) chunks.push(current)
+      current = ''
+      chunks.push(line.slice(0, limit))
+      line = line.slice(limit)
+    }
+    if (current && current.length + line.length + 1 > limit) {
+      chunks.push(current)
+      current = ''
+    }
+    current = current ? `${current}\n${line}` : line
+  }
+  if (current) chunks.push(current)
+  return chunks
+}
+
+// 拆分超出长度限制的段落或代码块，代码块的每一段都补全起止标记
+function splitBlock(block, limit) {
+  if (!block.fence) return packLines(block.text.split('\n'), limit)
+
+  const lines = block.text.split('\n').slice(1)
+  const closing = lines.length && FENCE.test(lines[lines.length - 1]) ? lines.pop() : block.fence.match(FENCE)[1]
+  const budget = Math.max(limit - block.fence.length - closing.length - 2, 1)
+  return packLines(lines, budget).map(code => `${block.fence}\n${code}\n${closing}`)
+}
+
+/**
+ * 按段落和代码块边界拆分过长的回复
+ * 尽量在段落之间拆分，单个段落或代码块过长时再按行拆分
+ * @param {string} text - Markdown 文本
+ * @param {number} limit - 每段的最大长度，0表示不拆分
+ * @returns {Array<string>}
+ */
+function splitReply(text, limit) {
+  if (!limit || text.length <= limit) return [text]
+
+  const chunks = []
+  let current = ''
+  for (const block of splitBlocks(text)) {
+    const pieces = block.text.length > limit ? splitBlock(block, limit) : [block.text]
+    for (const piece of pieces) {
+      if (current && current.length + piece.length + 2 > limit) {
+        chunks.push(current)
+        current = ''
+      }
+      current = current ? `${current}\n\n${piece}` : piece
+    }
+  }
+  if (current) chunks.push(current)
+  return chunks
+}
+
+/**
+ * 转换行内 Markdown 语法
+ * @param {string} text - 一行文本
+ * @param {boolean} element - 是否转换为消息元素，否则转换为纯文本
+ * @returns {string} - 已转义的消息内容
+ */
+function renderInline(text, element) {
+  let output = ''
+  let index = 0
+  for (const match of text.matchAll(INLINE)) {
+    output += h.escape(text.slice(index, match.index))
+    index = match.index + match[0].length
+
+    const [, code, alt, src, label, href, bold, underscoreBold, strike, italic] = match
+    if (code !== undefined) {
+      output += element ? h('code', code).toString() : h.escape(code)
+    } else if (src !== undefined) {
+      output += element ? h.image(src).toString() : h.escape(alt ? `${alt} (${src})` : src)
+    } else if (href !== undefined) {
+      output += element
+        ? `<a href="${h.escape(href, true)}">${renderInline(label, element)}</a>`
+        : `${renderInline(label, element)}${label === href ? '' : h.escape(` (${href})`)}`
+    } else {
+      const inner = renderInline(bold ?? underscoreBold ?? strike ?? italic, element)
+      const tag = strike !== undefined ? 's' : italic !== undefined ? 'i' : 'b'
+      output += element ? `<${tag}>${inner}</${tag}>` : inner
+    }
+  }
+  return output + h.escape(text.slice(index))
+}
+
+// 将表格行转换为以竖线分隔的文本
+function renderTableRow(line, element) {
+  const cells = line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|')
+  return cells.map(cell => renderInline(cell.trim(), element)).join(' | ')
+}
+
+/**
+ * 将 Markdown 转换为适合聊天平台显示的消息
+ * @param {string} text - Markdown 文本
+ * @param {string} mode - raw 原样发送，plain 转换为纯文本，element 转换为消息元素
+ * @returns {string} - 可直接发送的消息内容
+ */
+function renderMarkdown(text, mode) {
+  if (mode !== 'plain' && mode !== 'element') return h.escape(text)
+  const element = mode === 'element'
+
+  const output = []
+  let fence = null
+  for (const line of text.split('\n')) {
+    const marker = line.match(FENCE)?.[1]
+    // 代码块去掉起止标记，内容原样保留
+    if (fence) {
+      if (marker && marker[0] === fence[0] && marker.length >= fence.length) fence = null
+      else output.push(h.escape(line))
+      continue
+    }
+    if (marker) {
+      fence = marker
+      continue
+    }
+
+    const heading = line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/)
+    if (heading) {
+      const title = renderInline(heading[1], element)
+      output.push(element ? `<b>${title}</b>` : `【${title}】`)
+    } else if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      output.push('————————')
+    } else if (TABLE_SEPARATOR.test(line) && line.includes('-') && line.includes('|')) {
+      continue
+    } else if (/^\s*\|.*\|\s*$/.test(line)) {
+      output.push(renderTableRow(line, element))
+    } else {
+      // 无序列表统一使用圆点，引用以竖线开头
+      const converted = line
+        .replace(/^(\s*)[-*+]\s+\[([ xX])\]\s+/, (_, indent, checked) => `${indent}${checked === ' ' ? '☐' : '☑'} `)
+        .replace(/^(\s*)[-*+]\s+/, '$1• ')
+        .replace(/^\s*>\s?/, '｜')
+      output.push(renderInline(converted, element))
+    }
+  }
+  return output.join('\n')
+}
+
+/**
+ * 将模型回复处理为要发送的消息列表
+ * 先按平台长度限制拆分，再转换 Markdown；开启合并转发时多段消息合并为一条转发消息
+ * @param {Object} session - Koishi会话对象
+ * @param {string} reply - 模型回复的文本
+ * @param {Object} config - 插件配置
+ * @returns {Array} - 依次发送的消息内容
+ */
+function renderReply(session, reply, config) {
+  const chunks = splitReply(reply, getReplyLimit(session, config))
+  const messages = chunks.map(chunk => renderMarkdown(chunk, config.markdownMode))
+  if (config.forwardLongReply && messages.length > 1) {
+    return [h('message', { forward: true }, messages.map(message => h('message', h.parse(message))))]
+  }
+  return messages
+}
+
+/**
+ * 渲染流式回复过程中用于显示的内容
+ * 只保留不超过长度限制的第一段，其余部分在回复完成后发送
+ * @param {Object} session - Koishi会话对象
+ * @param {string} text - 目前已生成的文本
+ * @param {Object} config - 插件配置
+ * @returns {{content: string, length: number}} - 渲染后的内容，以及其对应的原始文本长度
+ */
+function renderPreview(session, text, config) {
+  const trimmed = text.trimStart()
+  const [first] = splitReply(trimmed.trimEnd(), getReplyLimit(session, config))
+  // 拆分代码块时会补全结束标记，只统计与原文相同的部分
+  let length = 0
+  while (length < first.length && first[length] === trimmed[length]) length++
+  return {
+    content: renderMarkdown(first, config.markdownMode),
+    length: text.length - trimmed.length + length
+  }
+}
+
+/**
+ * 依次发送多条消息
+ * @param {Object} session - Koishi会话对象
+ * @param {Array} messages - 消息内容列表
+ */
+async function sendMessages(session, messages) {
+  for (const message of messages) {
+    await session.send(message)
+  }
+}
+
+module.exports = {
+  splitReply,
+  renderMarkdown,
+  renderReply,
+  renderPreview,
+  sendMessages
+}
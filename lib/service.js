@@ -0,0 +1,178 @@
+const { Service } = require('koishi')
+const { runToolLoop } = require('./tools')
+const { ErrorType, ModelError } = require('./http')
+const { getContextKey, getContext, saveContext, clearContext } = require('./context')
+const { toStorableContent } = require('./content')
+
+/**
+ * 聊天模型服务
+ * 其他插件可以通过 ctx.chatModel 使用本插件配置的模型、限额和对话历史。
+ * 每次请求模型前后分别触发 chat-model/before-request 和 chat-model/after-reply 事件，
+ * 本插件自身的对话也经过这里，监听事件即可观察或修改所有请求。
+ */
+class ChatModelService extends Service {
+  /**
+   * @param {Object} ctx - Koishi上下文
+   * @param {Object} deps - 插件内部的依赖
+   * @param {Object} deps.config - 插件配置
+   * @param {Object} deps.model - 模型适配器管理器
+   * @param {Function} deps.getToolRegistry - 获取当前可用的工具注册表
+   * @param {Object} deps.quota - 使用限额
+   * @param {Object} deps.ledger - 用量记录
+   * @param {Object} deps.moderator - 内容审核
+   */
+  constructor(ctx, deps) {
+    super(ctx, 'chatModel', true)
+    this.config = deps.config
+    this.model = deps.model
+    this.getToolRegistry = deps.getToolRegistry
+    this.quota = deps.quota
+    this.ledger = deps.ledger
+    this.moderator = deps.moderator
+  }
+
+  // 当前使用的模型名称
+  get modelName() {
+    return this.model.modelName
+  }
+
+  /**
+   * 请求模型生成回复
+   * 有可用工具时执行工具调用循环，传入 onToken 且适配器支持时使用流式接口。
+   * 不检查限额，也不读写上下文，供本插件的消息处理器和 chat() 使用
+   * @param {Array} messages - 统一格式的消息数组
+   * @param {Object} session - Koishi会话对象，可以为空
+   * @param {Object} [options] - 本次请求的参数覆盖
+   * @param {Function} [options.onToken] - 流式回复时每收到一段文本时调用
+   * @param {boolean} [options.tools] - 为 false 时不使用工具
+   * @returns {Promise<string>} - 模型回复的文本
+   */
+  async generate(messages, session, options = {}) {
+    const { onToken, tools, ...requestOptions } = options
+
+    // 监听者可以修改事件中的消息和参数
+    const event = { session, messages, options: requestOptions }
+    await this.ctx.parallel('chat-model/before-request', event)
+
+    // 超时由适配器的每次请求控制，超时后会中止请求并按配置重试
+    let reply
+    const toolRegistry = this.getToolRegistry()
+    if (tools !== false && this.config.enableTools && toolRegistry?.size > 0) {
+      reply = await runToolLoop(this.model, toolRegistry, event.messages, session, this.config.maxToolRounds || 5, event.options)
+    } else if (onToken && this.model.generateStreamResponse) {
+      reply = await this.model.generateStreamResponse(event.messages, session, onToken, event.options)
+    } else {
+      reply = await this.model.generateResponse(event.messages, session, event.options)
+    }
+
+    this.ctx.emit('chat-model/after-reply', { ...event, reply })
+    return reply
+  }
+
+  /**
+   * 使用完整的消息列表请求模型
+   * 传入会话时检查并计入该用户的限额，用量记录到统计中。
+   * 与本插件的对话相同，请求前审核最后一条用户消息，收到回复后审核回复，被拒绝时抛出错误
+   * @param {Array} messages - 统一格式的消息数组，可以包含系统提示
+   * @param {Object} [options] - 请求参数
+   * @param {Object} [options.session] - Koishi会话对象
+   * @param {string} [options.modelName] - 覆盖使用的模型
+   * @param {number} [options.temperature] - 覆盖温度
+   * @param {boolean} [options.quota] - 为 false 时不检查和计入限额
+   * @param {boolean} [options.tools] - 为 false 时不使用工具
+   * @param {Function} [options.onToken] - 流式回复时每收到一段文本时调用，需要审核回复时不使用流式接口
+   * @returns {Promise<string>} - 模型回复的文本
+   */
+  async chat(messages, options = {}) {
+    const { session = null, quota = true, ...requestOptions } = options
+    const checkQuota = quota && !!session
+
+    if (checkQuota) {
+      const exceeded = await this.quota.check(session)
+      if (exceeded) throw new ModelError(ErrorType.RATE_LIMIT, exceeded)
+    }
+
+    // 审核最后一条用户消息，打码后的内容替换原消息
+    const index = messages.map(msg => msg.role).lastIndexOf('user')
+    if (index >= 0) {
+      const input = await this.moderator.review(session, messages[index].content, 'input')
+      if (input.blocked) throw new ModelError(ErrorType.CONTENT_FILTER, this.moderator.refuseMessage)
+      messages = messages.map((msg, i) => i === index ? { ...msg, content: input.content } : msg)
+    }
+
+    // 需要审核回复时等待生成完毕，不输出未经审核的内容
+    if (this.moderator.holdsOutput) delete requestOptions.onToken
+
+    let usedTokens = 0
+    let reply = await this.generate(messages, session, {
+      ...requestOptions,
+      onUsage: (usage) => {
+        usedTokens += (usage.promptTokens || 0) + (usage.completionTokens || 0)
+        this.ledger.record(session, usage)
+        requestOptions.onUsage?.(usage)
+      }
+    })
+
+    // 被拒绝的回复照常计入用量
+    const output = reply ? await this.moderator.review(session, reply, 'output') : null
+    if (checkQuota) await this.quota.record(session, usedTokens)
+    if (output?.blocked) throw new ModelError(ErrorType.CONTENT_FILTER, this.moderator.refuseMessage)
+    if (output) reply = output.content
+    return reply
+  }
+
+  /**
+   * 单轮补全，不使用上下文
+   * @param {string} prompt - 用户消息
+   * @param {Object} [options] - 与 chat() 相同，另外可以通过 system 指定系统提示
+   * @returns {Promise<string>}
+   */
+  async complete(prompt, options = {}) {
+    const { system, ...chatOptions } = options
+    const messages = [{ role: 'user', content: prompt }]
+    if (system) messages.unshift({ role: 'system', content: system })
+    return this.chat(messages, chatOptions)
+  }
+
+  /**
+   * 获取会话对应的上下文键
+   * @param {Object} session - Koishi会话对象
+   * @param {string} [scope] - 作用范围，默认使用插件配置
+   * @returns {string}
+   */
+  getContextKey(session, scope) {
+    return getContextKey(session, scope || this.config.contextScope)
+  }
+
+  /**
+   * 获取上下文中保存的对话历史
+   * @param {string} key - 上下文键
+   * @returns {Promise<Array>}
+   */
+  async getContext(key) {
+    return getContext(this.ctx, key)
+  }
+
+  /**
+   * 向上下文追加消息
+   * @param {string} key - 上下文键
+   * @param {Object|Array} messages - 一条或多条统一格式的消息
+   */
+  async appendContext(key, messages) {
+    const context = await getContext(this.ctx, key)
+    for (const msg of [].concat(messages)) {
+      context.push({ ...msg, content: toStorableContent(msg.content) })
+    }
+    await saveContext(this.ctx, key, context)
+  }
+
+  /**
+   * 清除上下文
+   * @param {string} key - 上下文键
+   */
+  async clearContext(key) {
+    await clearContext(this.ctx, key)
+  }
+}
+
+module.exports = { ChatModelService }
@@ -0,0 +1,78 @@
+/**
+ * 解析 Server-Sent Events 响应流
+ * @param {Object} body - node-fetch 返回的响应体(可读流)
+ * @returns {AsyncGenerator<{event: string, data: string}>} - 逐个产出的事件
+ */
+async function* parseSSE(body) {
+  const decoder = new TextDecoder('utf-8')
+  let buffer = ''
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true })
+    // 统一换行符，事件之间以空行分隔；
+    // 末尾的\r可能与下一块开头的\n组成一个换行，留到下一块再处理
+    const end = buffer.endsWith('\r') ? buffer.length - 1 : buffer.length
+    buffer = buffer.slice(0, end).replace(/\r\n?/g, '\n') + buffer.slice(end)
+
+    let index
+    while ((index = buffer.indexOf('\n\n')) !== -1) {
+      const raw = buffer.slice(0, index)
+      buffer = buffer.slice(index + 2)
+      const event = parseEvent(raw)
+      if (event) yield event
+    }
+  }
+
+  // 处理流结束时残留的最后一个事件
+  buffer += decoder.decode()
+  const event = parseEvent(buffer.replace(/\r\n?/g, '\n').trim())
+  if (event) yield event
+}
+
+// 解析单个事件块
+function parseEvent(raw) {
+  if (!raw) return null
+
+  let event = 'message'
+  const data = []
+  for (const line of raw.split('\n')) {
+    // 以冒号开头的是注释行(常用作心跳)
+    if (!line || line.startsWith(':')) continue
+    const colon = line.indexOf(':')
+    const field = colon === -1 ? line : line.slice(0, colon)
+    let value = colon === -1 ? '' : line.slice(colon + 1)
+    if (value.startsWith(' ')) value = value.slice(1)
+
+    if (field === 'event') event = value
+    else if (field === 'data') data.push(value)
+  }
+
+  if (data.length === 0) return null
+  return { event, data: data.join('\n') }
+}
+
+/**
+ * 解析以换行分隔的 JSON 响应流(NDJSON)
+ * @param {Object} body - node-fetch 返回的响应体(可读流)
+ * @returns {AsyncGenerator<Object>} - 逐行解析出的对象
+ */
+async function* parseNDJSON(body) {
+  const decoder = new TextDecoder('utf-8')
+  let buffer = ''
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true })
+
+    let index
+    while ((index = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, index).trim()
+      buffer = buffer.slice(index + 1)
+      if (line) yield JSON.parse(line)
+    }
+  }
+
+  buffer += decoder.decode()
+  if (buffer.trim()) yield JSON.parse(buffer)
+}
+
+module.exports = { parseSSE, parseNDJSON }
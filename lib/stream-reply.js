@@ -0,0 +1,130 @@
+const { renderReply, renderPreview, sendMessages } = require('./reply')
+
+// 分段发送时用于判断句子结束的标点
+const SENTENCE_END = /[。！？!?；;\n]|\.(?=\s)/g
+
+// 分段发送时每段的最小长度，避免发送过于零碎的消息
+const MIN_CHUNK_LENGTH = 20
+
+// 代码块的起止标记行
+const FENCE_LINE = /^\s*(`{3,}|~{3,})/gm
+
+// 判断文本末尾是否处于未结束的代码块中
+function isInsideFence(text) {
+  return (text.match(FENCE_LINE) || []).length % 2 === 1
+}
+
+/**
+ * 创建流式回复发送器
+ * 支持编辑消息的平台会周期性地编辑同一条消息；
+ * 不支持编辑的平台则按句子分段发送。
+ * 发送的内容与普通回复一样转义、转换 Markdown 并按长度限制拆分。
+ * @param {Object} ctx - Koishi上下文
+ * @param {Object} session - Koishi会话对象
+ * @param {Object} config - 插件配置
+ * @param {string} [messageId] - 已发送的占位消息ID(如"正在思考中...")
+ * @returns {{push: Function, finish: Function}} - push 用于接收增量文本，finish 用于发送最终回复
+ */
+function createStreamReplier(ctx, session, config, messageId) {
+  const interval = config.streamInterval || 1000
+  let canEdit = typeof session.bot.editMessage === 'function'
+  let lastEditAt = 0
+  let lastEditText = ''
+  // 已显示在编辑消息中的原始文本长度，编辑失败后从这里继续分段发送
+  let editedOffset = 0
+  let pendingEdit = null
+
+  // 分段发送模式下已发送的原始文本长度
+  let sentOffset = 0
+  let streamedText = ''
+
+  // 编辑消息，失败时退回到分段发送模式，已显示的内容不再重复发送
+  const edit = async (text, offset) => {
+    try {
+      await session.bot.editMessage(session.channelId, messageId, text)
+      lastEditText = text
+      editedOffset = offset
+    } catch (error) {
+      ctx.logger.debug(`编辑消息失败，改为分段发送: ${error.message}`)
+      canEdit = false
+      sentOffset = editedOffset
+    }
+  }
+
+  const push = async (delta, text) => {
+    streamedText = text
+
+    if (canEdit) {
+      // 还没有可编辑的消息时，先发送当前内容作为第一条消息
+      if (!messageId) {
+        const preview = renderPreview(session, text, config)
+        if (!preview.content) return
+        const sent = await session.send(preview.content)
+        if (Array.isArray(sent) && sent.length > 0) {
+          messageId = sent[0]
+          lastEditText = preview.content
+          editedOffset = preview.length
+          lastEditAt = Date.now()
+        } else {
+          canEdit = false
+          sentOffset = preview.length
+        }
+        return
+      }
+
+      // 按时间间隔节流，且同一时间只进行一次编辑
+      if (pendingEdit || Date.now() - lastEditAt < interval) return
+      const preview = renderPreview(session, text, config)
+      if (preview.content === lastEditText) return
+      lastEditAt = Date.now()
+      pendingEdit = edit(preview.content, preview.length).finally(() => { pendingEdit = null })
+      return
+    }
+
+    // 分段发送：找到未发送部分中最后一个句子结束位置
+    const unsent = text.slice(sentOffset)
+    let end = -1
+    for (const match of unsent.matchAll(SENTENCE_END)) {
+      end = match.index + match[0].length
+    }
+    if (end < MIN_CHUNK_LENGTH) return
+    // 不在代码块中间拆分，等代码块结束后再发送
+    if (isInsideFence(text.slice(0, sentOffset + end))) return
+
+    const chunk = unsent.slice(0, end).trim()
+    sentOffset += end
+    if (chunk) await sendMessages(session, renderReply(session, chunk, config))
+  }
+
+  // 发送最终回复，messages 为渲染后实际发送的消息列表，编辑消息时使用第一条
+  const finish = async (reply, messages = [reply]) => {
+    if (pendingEdit) await pendingEdit
+
+    // 最终回复可能在流式内容之后追加了内容(如引用的资料)，只需补发追加的部分；
+    // 与流式内容不一致(如发生错误或被打码)时，完整发送最终回复
+    const streamed = streamedText.trimEnd()
+    const matchesStream = reply.startsWith(streamed.trim())
+
+    if (canEdit && messageId) {
+      const [first, ...rest] = messages
+      if (first !== lastEditText) await edit(first, streamedText.length)
+      if (canEdit) {
+        await sendMessages(session, rest)
+        return
+      }
+      // 编辑失败时按分段发送模式发送尚未显示的部分
+    }
+
+    if (!matchesStream || sentOffset === 0) {
+      await sendMessages(session, messages)
+      return
+    }
+
+    const rest = (streamed.slice(sentOffset) + reply.slice(streamed.trim().length)).trim()
+    if (rest) await sendMessages(session, renderReply(session, rest, config))
+  }
+
+  return { push, finish }
+}
+
+module.exports = { createStreamReplier }
@@ -0,0 +1,93 @@
+const { estimateMessagesTokens } = require('./tokens')
+const { contentToText } = require('./content')
+
+// 生成摘要时使用的系统提示词
+const SUMMARY_PROMPT = '你负责为一段对话维护摘要。请结合已有摘要和新的对话内容，输出一份更新后的摘要，' +
+  '保留用户的身份、偏好、提到的事实、未完成的问题和双方达成的结论，省略寒暄。' +
+  '使用第三人称陈述，不超过300字，只输出摘要本身。'
+
+/**
+ * 按令牌预算和轮数上限裁剪对话历史
+ * 第一条system消息始终保留，超出预算的最早消息会被移出并返回，
+ * 并保证剩余的对话以用户消息开头。
+ * @param {Array} messages - 对话历史，首条为system消息，末条为最新的用户消息
+ * @param {Object} options
+ * @param {number} options.budget - 令牌预算
+ * @param {number} [options.maxMessages] - 保留的最大对话消息数(不含system消息)
+ * @param {number} [options.reserved] - 预留给摘要等额外内容的令牌数
+ * @returns {Array} - 被移出的消息
+ */
+function trimHistory(messages, { budget, maxMessages = Infinity, reserved = 0 }) {
+  const removed = []
+
+  const overflow = () => {
+    // 至少保留最新的一条用户消息
+    if (messages.length <= 2) return false
+    return messages.length - 1 > maxMessages ||
+      estimateMessagesTokens(messages) + reserved > budget
+  }
+
+  while (overflow()) {
+    removed.push(...messages.splice(1, 1))
+  }
+
+  // 避免剩余对话以助手回复开头
+  while (messages.length > 2 && messages[1].role !== 'user') {
+    removed.push(...messages.splice(1, 1))
+  }
+
+  return removed
+}
+
+/**
+ * 将被移出的对话合并进摘要
+ * @param {Object} modelInstance - 模型适配器
+ * @param {Object} session - Koishi会话对象
+ * @param {string} summary - 已有摘要
+ * @param {Array} messages - 需要合并的对话消息
+ * @param {Object} [options] - 请求参数，如 onUsage
+ * @returns {Promise<string>} - 更新后的摘要
+ */
+async function summarizeMessages(modelInstance, session, summary, messages, options = {}) {
+  const transcript = messages
+    .map(msg => `${msg.role === 'assistant' ? '助手' : '用户'}: ${contentToText(msg.content)}`)
+    .join('\n')
+
+  const prompt = [
+    summary ? `已有摘要:\n${summary}` : '已有摘要: (无)',
+    `新的对话内容:\n${transcript}`
+  ].join('\n\n')
+
+  return modelInstance.generateResponse([
+    { role: 'system', content: SUMMARY_PROMPT },
+    { role: 'user', content: prompt }
+  ], session, options)
+}
+
+/**
+ * 构造注入到system提示词之后的摘要消息
+ * @param {string} summary - 摘要
+ * @returns {Object} - system消息
+ */
+function createSummaryMessage(summary) {
+  return {
+    role: 'system',
+    content: `以下是此前对话的摘要，可作为背景参考:\n${summary}`
+  }
+}
+
+/**
+ * 估算摘要消息占用的令牌数
+ * @param {string} summary - 摘要
+ * @returns {number}
+ */
+function estimateSummaryTokens(summary) {
+  return summary ? estimateMessagesTokens([createSummaryMessage(summary)]) : 0
+}
+
+module.exports = {
+  trimHistory,
+  summarizeMessages,
+  createSummaryMessage,
+  estimateSummaryTokens
+}
@@ -0,0 +1,55 @@
+const { getZonedTime } = require('./quota')
+const { isPrivateSession, getSpeakerName } = require('./context')
+
+// 模板变量，形如 {{date}}
+const VARIABLE = /\{\{\s*([\w.-]+)\s*\}\}/g
+
+const WEEKDAYS = ['星期日', '星期一', '星期二', '星期三', '星期四', '星期五', '星期六']
+
+/**
+ * 获取内置的模板变量
+ * @param {Object} session - Koishi会话对象
+ * @param {Object} config - 插件配置
+ * @param {Date} now - 当前时间
+ * @returns {Object}
+ */
+function getBuiltinVariables(session, config, now) {
+  const { year, month, day, minutes } = getZonedTime(now, config.promptTimezone)
+  const pad = value => String(value).padStart(2, '0')
+  const date = `${year}-${pad(month)}-${pad(day)}`
+  const time = `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`
+  const isPrivate = isPrivateSession(session)
+
+  return {
+    date,
+    time,
+    datetime: `${date} ${time}`,
+    weekday: WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()],
+    user: getSpeakerName(session),
+    userId: session.userId,
+    channel: isPrivate ? '私聊' : session.event?.channel?.name || session.channelId,
+    channelId: isPrivate ? '' : session.channelId,
+    platform: session.platform,
+    bot: session.bot?.user?.name || session.bot?.user?.nick || session.selfId || ''
+  }
+}
+
+/**
+ * 渲染系统提示中的模板变量
+ * 内置变量优先于自定义变量，未知的变量原样保留
+ * @param {string} template - 系统提示模板
+ * @param {Object} session - Koishi会话对象
+ * @param {Object} config - 插件配置
+ * @param {Date} [now] - 当前时间
+ * @returns {string}
+ */
+function renderPrompt(template, session, config, now = new Date()) {
+  if (!template || !template.includes('{{')) return template
+  const variables = { ...config.promptVariables, ...getBuiltinVariables(session, config, now) }
+  return template.replace(VARIABLE, (match, name) => {
+    const value = variables[name]
+    return value === undefined || value === null ? match : String(value)
+  })
+}
+
+module.exports = { renderPrompt }
@@ -0,0 +1,45 @@
+// 中日韩文字、全角标点等，每个字符大约对应一个令牌
+const CJK_PATTERN = /[　-〿぀-ヿ㐀-䶿一-鿿가-힯＀-￯]/g
+
+// 每条消息在角色、分隔符等格式上的额外开销
+const MESSAGE_OVERHEAD = 4
+
+// 每张图片的估算令牌数，各模型按分辨率计费，这里取常见尺寸的近似值
+const IMAGE_TOKENS = 500
+
+/**
+ * 粗略估算文本的令牌数
+ * 不依赖具体模型的分词器，中日韩字符按每字一个令牌，其余按每4个字符一个令牌计算
+ * @param {string} text - 文本
+ * @returns {number} - 估算的令牌数
+ */
+function estimateTokens(text) {
+  if (!text) return 0
+  const cjk = (text.match(CJK_PATTERN) || []).length
+  return cjk + Math.ceil((text.length - cjk) / 4)
+}
+
+/**
+ * 估算消息内容的令牌数
+ * @param {string|Array} content - 纯文本或内容片段数组
+ * @returns {number} - 估算的令牌数
+ */
+function estimateContentTokens(content) {
+  if (!Array.isArray(content)) return estimateTokens(content)
+  return content.reduce((total, part) => {
+    return total + (part.type === 'image' ? IMAGE_TOKENS : estimateTokens(part.text))
+  }, 0)
+}
+
+/**
+ * 估算消息列表的令牌数
+ * @param {Array} messages - 消息列表
+ * @returns {number} - 估算的令牌数
+ */
+function estimateMessagesTokens(messages) {
+  return messages.reduce((total, message) => {
+    return total + MESSAGE_OVERHEAD + estimateContentTokens(message.content)
+  }, 0)
+}
+
+module.exports = { estimateTokens, estimateContentTokens, estimateMessagesTokens }
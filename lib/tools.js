@@ -0,0 +1,133 @@
+const { Context, Service } = require('koishi')
+
+// 各模型通用的工具名称格式
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/
+
+/**
+ * 工具注册表服务
+ * 其他插件可以通过 ctx.chatModelTools.register() 注册可供模型调用的工具
+ */
+class ToolRegistry extends Service {
+  constructor(ctx, config = {}) {
+    super(ctx, 'chatModelTools', true)
+    this.config = config
+    this.tools = new Map()
+  }
+
+  /**
+   * 注册工具
+   * @param {Object} tool - 工具定义
+   * @param {string} tool.name - 工具名称，只能包含字母、数字、下划线和连字符
+   * @param {string} tool.description - 工具说明，模型据此决定何时调用
+   * @param {Object} [tool.parameters] - 参数的 JSON Schema
+   * @param {Function} tool.handler - 执行函数，参数为(args, session)，返回字符串或可序列化的对象
+   * @returns {Function} - 调用后注销该工具；注册工具的插件卸载时也会自动注销
+   */
+  register(tool) {
+    if (!tool || !TOOL_NAME_PATTERN.test(tool.name)) {
+      throw new Error(`无效的工具名称: ${tool?.name}`)
+    }
+    if (typeof tool.handler !== 'function') {
+      throw new Error(`工具 ${tool.name} 缺少执行函数`)
+    }
+    if (this.tools.has(tool.name)) {
+      throw new Error(`工具 ${tool.name} 已被注册`)
+    }
+
+    const definition = {
+      name: tool.name,
+      description: tool.description || '',
+      parameters: tool.parameters || { type: 'object', properties: {} },
+      handler: tool.handler
+    }
+    // 绑定到调用方插件的生命周期，调用方卸载时自动注销
+    return this[Context.current].effect(() => {
+      this.tools.set(tool.name, definition)
+      this.ctx.logger.debug(`已注册工具: ${tool.name}`)
+      return () => {
+        if (this.tools.get(tool.name) === definition) {
+          this.tools.delete(tool.name)
+          this.ctx.logger.debug(`已注销工具: ${tool.name}`)
+        }
+      }
+    })
+  }
+
+  /**
+   * 获取所有已注册的工具
+   * @returns {Array}
+   */
+  list() {
+    return [...this.tools.values()]
+  }
+
+  get size() {
+    return this.tools.size
+  }
+
+  /**
+   * 执行模型请求的工具调用
+   * 执行失败时不会抛出错误，而是把错误信息作为结果返回给模型
+   * @param {Object} call - 工具调用 { id, name, arguments }
+   * @param {Object} session - Koishi会话对象
+   * @returns {Promise<string>} - 执行结果
+   */
+  async execute(call, session) {
+    const tool = this.tools.get(call.name)
+    if (!tool) return `错误: 工具 ${call.name} 不存在`
+
+    const timeout = (this.config.toolTimeout || 30) * 1000
+    let timeoutId
+    try {
+      this.ctx.logger.debug(`调用工具 ${call.name}: ${JSON.stringify(call.arguments)}`)
+      const result = await Promise.race([
+        tool.handler(call.arguments || {}, session),
+        new Promise((_, reject) => {
+          timeoutId = setTimeout(() => reject(new Error('执行超时')), timeout)
+        })
+      ])
+      if (result === undefined || result === null) return ''
+      return typeof result === 'string' ? result : JSON.stringify(result)
+    } catch (error) {
+      this.ctx.logger.warn(`工具 ${call.name} 执行失败: ${error.message}`)
+      return `错误: ${error.message}`
+    } finally {
+      clearTimeout(timeoutId)
+    }
+  }
+}
+
+/**
+ * 执行"模型请求工具 - 执行工具 - 返回结果"的循环，直到模型给出最终回复
+ * 中间过程的工具调用消息只用于本次请求，不会写入上下文历史
+ * @param {Object} modelInstance - 模型适配器
+ * @param {ToolRegistry} registry - 工具注册表
+ * @param {Array} messages - 对话历史消息
+ * @param {Object} session - Koishi会话对象
+ * @param {number} maxRounds - 最多执行工具调用的轮数
+ * @param {Object} [options] - 本次请求的参数覆盖
+ * @returns {Promise<string>} - 模型的最终回复
+ */
+async function runToolLoop(modelInstance, registry, messages, session, maxRounds, options = {}) {
+  const tools = registry.list()
+  const conversation = [...messages]
+
+  for (let round = 0; ; round++) {
+    const { text, toolCalls, thinkingBlocks } = await modelInstance.generateToolResponse(conversation, session, tools, options)
+    if (!toolCalls?.length) return text
+
+    if (round >= maxRounds) {
+      registry.ctx.logger.warn(`工具调用已达到最大轮数 ${maxRounds}，停止调用`)
+      return text || '抱歉，处理这个问题需要的步骤太多了，请尝试把问题拆分后再问我。'
+    }
+
+    // 部分适配器需要在后续请求中带回本轮的思考内容
+    conversation.push({ role: 'assistant', content: text, toolCalls, ...thinkingBlocks ? { thinkingBlocks } : {} })
+    for (const call of toolCalls) {
+      const result = await registry.execute(call, session)
+      conversation.push({ role: 'tool', toolCallId: call.id, name: call.name, content: result })
+    }
+  }
+}
+
+module.exports = { ToolRegistry, runToolLoop }
@@ -0,0 +1,81 @@
+const { h } = require('koishi')
+const { isPrivateSession } = require('./context')
+
+/**
+ * 编译触发关键词
+ * @param {Object} ctx - Koishi上下文
+ * @param {Array<string>} patterns - 正则表达式列表
+ * @returns {Array<RegExp>}
+ */
+function compileKeywords(ctx, patterns = []) {
+  return patterns.flatMap((pattern) => {
+    try {
+      return [new RegExp(pattern, 'i')]
+    } catch (error) {
+      ctx.logger.warn(`无效的触发关键词 ${pattern}: ${error.message}`)
+      return []
+    }
+  })
+}
+
+// 判断频道是否在列表中，列表项可以是频道ID或 平台:频道ID
+function includesChannel(list = [], session) {
+  return list.some(item => item === session.channelId || item === `${session.platform}:${session.channelId}`)
+}
+
+// 判断消息是否回复了机器人
+function isReplyToBot(session) {
+  return !!session.quote && session.quote.user?.id === session.selfId
+}
+
+/**
+ * 创建消息触发判断函数
+ * 私聊按 triggerPrivate 和 triggerPrefix 判断；
+ * 群聊先检查频道黑白名单，再按 groupTriggerModes 中任一方式判断
+ * @param {Object} ctx - Koishi上下文
+ * @param {Object} config - 插件配置
+ * @returns {Function} - 接收会话，需要响应时返回去除@机器人和前缀后的消息内容，否则返回null
+ */
+function createTriggerMatcher(ctx, config) {
+  const keywords = compileKeywords(ctx, config.triggerKeywords)
+  const modes = config.groupTriggerModes || []
+
+  return (session) => {
+    // 忽略自己发送的消息
+    if (session.userId === session.selfId) return null
+
+    // 去除消息中@机器人的部分
+    const elements = h.parse(session.content || '')
+    const isAtSelf = el => el.type === 'at' && el.attrs.id === session.selfId
+    const mentioned = elements.some(isAtSelf)
+    let content = elements.filter(el => !isAtSelf(el)).join('').trim()
+
+    const hasPrefix = !!config.triggerPrefix && content.startsWith(config.triggerPrefix)
+    if (hasPrefix) content = content.slice(config.triggerPrefix.length).trim()
+
+    if (isPrivateSession(session)) {
+      if (!config.triggerPrivate) return null
+      if (config.triggerPrefix && !hasPrefix) return null
+      return content
+    }
+
+    if (!config.triggerGroup) return null
+    if (includesChannel(config.channelDenylist, session)) return null
+    if (config.channelAllowlist?.length && !includesChannel(config.channelAllowlist, session)) return null
+
+    const text = h.parse(content).filter(el => el.type === 'text').map(el => el.attrs.content).join('')
+    const matched = modes.some((mode) => {
+      switch (mode) {
+        case 'all': return true
+        case 'mention': return mentioned
+        case 'reply': return isReplyToBot(session)
+        case 'keyword': return keywords.some(regexp => regexp.test(text))
+        case 'prefix': return hasPrefix
+        default: return false
+      }
+    })
+    return matched ? content : null
+  }
+}
+
+module.exports = { createTriggerMatcher }
@@ -0,0 +1,59 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { tokenize, BM25Index } = require('../lib/bm25')
+
+test('英文按单词切分并转为小写', () => {
+  assert.deepStrictEqual(tokenize('Hello, World! api_key v2'), ['hello', 'world', 'api_key', 'v2'])
+})
+
+test('中文按相邻两字切分，单字保留', () => {
+  assert.deepStrictEqual(tokenize('退款流程'), ['退款', '款流', '流程'])
+  assert.deepStrictEqual(tokenize('猫'), ['猫'])
+})
+
+test('中英文混合时分别切分', () => {
+  assert.deepStrictEqual(tokenize('使用API密钥'), ['api', '使用', '密钥'])
+})
+
+test('包含查询词的文档排在前面', () => {
+  const index = new BM25Index([
+    { id: 'shipping', text: '订单会在三天内发货，偏远地区需要五天' },
+    { id: 'refund', text: '退款申请提交后，退款会在七个工作日内原路返回' },
+    { id: 'account', text: '忘记密码时可以通过手机验证码重置' }
+  ])
+  const results = index.search('怎么申请退款', 3)
+  assert.strictEqual(results[0].id, 'refund')
+  assert.ok(results.every(result => result.score > 0))
+  assert.ok(!results.some(result => result.id === 'account'))
+})
+
+test('少见的词比常见的词权重更高', () => {
+  const index = new BM25Index([
+    { id: 'a', text: 'koishi plugin guide' },
+    { id: 'b', text: 'koishi plugin memory' },
+    { id: 'c', text: 'koishi adapter' }
+  ])
+  // koishi 出现在所有文档中，memory 只出现在一篇中
+  assert.strictEqual(index.search('koishi memory', 3)[0].id, 'b')
+})
+
+test('词频相同时较短的文档得分更高', () => {
+  const index = new BM25Index([
+    { id: 'long', text: 'refund policy details shipping returns exchange warranty support' },
+    { id: 'short', text: 'refund policy' }
+  ])
+  const [first, second] = index.search('refund', 2)
+  assert.strictEqual(first.id, 'short')
+  assert.ok(first.score > second.score)
+})
+
+test('按数量上限截断，没有匹配时返回空数组', () => {
+  const index = new BM25Index([
+    { id: 1, text: 'apple banana' },
+    { id: 2, text: 'apple cherry' },
+    { id: 3, text: 'apple' }
+  ])
+  assert.strictEqual(index.search('apple', 2).length, 2)
+  assert.deepStrictEqual(index.search('durian', 5), [])
+  assert.deepStrictEqual(new BM25Index([]).search('apple', 5), [])
+})
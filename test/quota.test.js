@@ -0,0 +1,101 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { getZonedTime, getQuotaPeriod, getUserLimits, QuotaManager } = require('../lib/quota')
+
+test('按时区换算日期和时间', () => {
+  const now = new Date('2024-03-01T16:30:00Z')
+  assert.deepStrictEqual(getZonedTime(now, 'Asia/Shanghai'), { year: 2024, month: 3, day: 2, minutes: 30 })
+  assert.deepStrictEqual(getZonedTime(now, 'America/Los_Angeles'), { year: 2024, month: 3, day: 1, minutes: 8 * 60 + 30 })
+  assert.deepStrictEqual(getZonedTime(now, 'UTC'), { year: 2024, month: 3, day: 1, minutes: 16 * 60 + 30 })
+})
+
+test('时区无效时使用服务器时区', () => {
+  const now = new Date('2024-03-01T16:30:00Z')
+  assert.deepStrictEqual(getZonedTime(now, 'Invalid/Zone'), getZonedTime(now))
+})
+
+test('在重置时刻前后切换周期', () => {
+  const usageLimit = { timezone: 'Asia/Shanghai', resetTime: '04:00' }
+  // 北京时间 03:59，仍属于前一天开始的周期
+  assert.deepStrictEqual(getQuotaPeriod(new Date('2024-03-01T19:59:00Z'), usageLimit), {
+    period: '2024-03-01',
+    minutesUntilReset: 1
+  })
+  // 北京时间 04:00，进入新的周期
+  assert.deepStrictEqual(getQuotaPeriod(new Date('2024-03-01T20:00:00Z'), usageLimit), {
+    period: '2024-03-02',
+    minutesUntilReset: 24 * 60
+  })
+})
+
+test('同一时刻在不同时区属于不同的周期', () => {
+  const now = new Date('2024-03-01T23:30:00Z')
+  assert.strictEqual(getQuotaPeriod(now, { timezone: 'UTC' }).period, '2024-03-01')
+  assert.strictEqual(getQuotaPeriod(now, { timezone: 'Asia/Tokyo' }).period, '2024-03-02')
+  assert.strictEqual(getQuotaPeriod(now, { timezone: 'America/New_York' }).period, '2024-03-01')
+})
+
+test('跨月和闰日的周期', () => {
+  const usageLimit = { timezone: 'UTC', resetTime: '06:00' }
+  assert.strictEqual(getQuotaPeriod(new Date('2024-03-01T05:00:00Z'), usageLimit).period, '2024-02-29')
+  assert.strictEqual(getQuotaPeriod(new Date('2025-01-01T05:00:00Z'), usageLimit).period, '2024-12-31')
+})
+
+test('重置时间格式无效时按零点重置', () => {
+  const result = getQuotaPeriod(new Date('2024-03-01T23:00:00Z'), { timezone: 'UTC', resetTime: 'abc' })
+  assert.deepStrictEqual(result, { period: '2024-03-01', minutesUntilReset: 60 })
+})
+
+test('按权限等级选择最高的规则', () => {
+  const usageLimit = {
+    maxMessagesPerUser: 10,
+    burstLimit: 3,
+    authorityLimits: [
+      { authority: 2, maxMessagesPerUser: 50 },
+      { authority: 3, maxMessagesPerUser: 0, burstLimit: 0 }
+    ]
+  }
+  assert.deepStrictEqual(getUserLimits(usageLimit, 1), { messages: 10, tokens: 0, burst: 3 })
+  assert.deepStrictEqual(getUserLimits(usageLimit, 2), { messages: 50, tokens: 0, burst: 3 })
+  assert.deepStrictEqual(getUserLimits(usageLimit, 4), { messages: 0, tokens: 0, burst: 0 })
+})
+
+// 读写之间有延迟的内存数据库，并发的读取-修改-写入未加控制时会丢失更新
+function createDatabase() {
+  const rows = new Map()
+  const delay = () => new Promise(resolve => setTimeout(resolve, 1))
+  return {
+    rows,
+    async get(table, { id }) {
+      await delay()
+      return rows.has(id) ? [{ ...rows.get(id) }] : []
+    },
+    async upsert(table, records) {
+      await delay()
+      for (const record of records) rows.set(record.id, { ...record })
+    }
+  }
+}
+
+test('并发记录的用量不会丢失', async () => {
+  const database = createDatabase()
+  const quota = new QuotaManager({ database, logger: { error() {} } }, { usageLimit: { enabled: true } })
+  const session = { platform: 'test', userId: 'u', channelId: 'g', isDirect: false }
+  await Promise.all(Array.from({ length: 5 }, () => quota.record(session, 10)))
+
+  assert.strictEqual(database.rows.get('user:test:u').dailyCount, 5)
+  assert.strictEqual(database.rows.get('user:test:u').dailyTokens, 50)
+  assert.strictEqual(database.rows.get('channel:test:g').dailyCount, 5)
+  assert.strictEqual(quota.updating.size, 0)
+})
+
+test('只有成功记录的对话计入突发限制', async () => {
+  const database = createDatabase()
+  const quota = new QuotaManager({ database, logger: { error() {} } }, { usageLimit: { enabled: true, burstLimit: 1 } })
+  const session = { platform: 'test', userId: 'u', isDirect: true, observeUser: async () => ({ authority: 1 }) }
+
+  assert.strictEqual(await quota.check(session), null)
+  assert.strictEqual(await quota.check(session), null)
+  await quota.record(session)
+  assert.strictEqual(await quota.check(session), '发送太频繁了，请稍后再试')
+})
@@ -0,0 +1,49 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { splitReply, renderMarkdown, renderReply } = require('../lib/reply')
+
+test('不超过长度限制或不限制时不拆分', () => {
+  assert.deepStrictEqual(splitReply('短文本', 10), ['短文本'])
+  assert.deepStrictEqual(splitReply('x'.repeat(100), 0), ['x'.repeat(100)])
+})
+
+test('在段落之间拆分，并尽量合并相邻的段落', () => {
+  assert.deepStrictEqual(splitReply('aaaa\n\nbbbb\n\ncccc', 10), ['aaaa\n\nbbbb', 'cccc'])
+})
+
+test('过长的段落按行拆分', () => {
+  assert.deepStrictEqual(splitReply('第一行内容\n第二行内容\n第三行内容', 12), ['第一行内容\n第二行内容', '第三行内容'])
+})
+
+test('过长的单行直接截断', () => {
+  assert.deepStrictEqual(splitReply('x'.repeat(25), 10), ['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)])
+})
+
+test('拆分代码块时每一段都补全起止标记', () => {
+  const chunks = splitReply('```js\nline1\nline2\nline3\n```', 20)
+  assert.deepStrictEqual(chunks, ['```js\nline1\n```', '```js\nline2\n```', '```js\nline3\n```'])
+  assert.ok(chunks.every(chunk => chunk.length <= 20))
+})
+
+test('代码块中的空行不作为段落边界', () => {
+  const text = '说明\n\n```\na\n\nb\n```'
+  assert.deepStrictEqual(splitReply(text, 12), ['说明', '```\na\n\nb\n```'])
+})
+
+test('每一段都不超过长度限制', () => {
+  const text = Array.from({ length: 20 }, (_, i) => `第${i}段：${'内容'.repeat(i % 7)}`).join('\n\n')
+  for (const limit of [8, 15, 40]) {
+    assert.ok(splitReply(text, limit).every(chunk => chunk.length <= limit))
+  }
+})
+
+test('纯文本模式转换标题和列表并转义', () => {
+  assert.strictEqual(renderMarkdown('# 标题\n- **粗** <x>', 'plain'), '【标题】\n• 粗 &lt;x&gt;')
+  assert.strictEqual(renderMarkdown('**原样**', 'raw'), '**原样**')
+})
+
+test('按平台的长度限制拆分回复', () => {
+  const config = { maxReplyLength: 0, platformReplyLength: { qq: 6 }, markdownMode: 'raw' }
+  assert.deepStrictEqual(renderReply({ platform: 'qq' }, 'aaaa\n\nbbbb', config), ['aaaa', 'bbbb'])
+  assert.deepStrictEqual(renderReply({ platform: 'discord' }, 'aaaa\n\nbbbb', config), ['aaaa\n\nbbbb'])
+})
@@ -0,0 +1,62 @@
+const { test } = require('node:test')
+const assert = require('node:assert')
+const { parseSSE, parseNDJSON } = require('../lib/sse')
+
+// 将字符串按给定的片段依次产出，模拟分块到达的响应体
+async function* toBody(...chunks) {
+  for (const chunk of chunks) yield Buffer.from(chunk)
+}
+
+async function collect(iterator) {
+  const items = []
+  for await (const item of iterator) items.push(item)
+  return items
+}
+
+test('解析事件名和多行数据', async () => {
+  const events = await collect(parseSSE(toBody('event: delta\ndata: a\ndata: b\n\ndata: c\n\n')))
+  assert.deepStrictEqual(events, [
+    { event: 'delta', data: 'a\nb' },
+    { event: 'message', data: 'c' }
+  ])
+})
+
+test('忽略注释行和没有数据的事件', async () => {
+  const events = await collect(parseSSE(toBody(': ping\n\nevent: ping\n\ndata: ok\n\n')))
+  assert.deepStrictEqual(events, [{ event: 'message', data: 'ok' }])
+})
+
+test('事件跨越多个数据块', async () => {
+  const events = await collect(parseSSE(toBody('da', 'ta: hel', 'lo\n', '\ndata: world\n\n')))
+  assert.deepStrictEqual(events.map(e => e.data), ['hello', 'world'])
+})
+
+test('\\r\\n 被拆分到两个数据块时不产生多余的事件', async () => {
+  const events = await collect(parseSSE(toBody('data: a\r', '\ndata: b\r\n\r', '\ndata: c\r\n\r\n')))
+  assert.deepStrictEqual(events.map(e => e.data), ['a\nb', 'c'])
+})
+
+test('只使用 \\r 换行的事件', async () => {
+  const events = await collect(parseSSE(toBody('data: a\r\r', 'data: b\r\r')))
+  assert.deepStrictEqual(events.map(e => e.data), ['a', 'b'])
+})
+
+test('多字节字符被拆分到两个数据块', async () => {
+  const bytes = Buffer.from('data: 你好\n\n')
+  const body = (async function* () {
+    yield bytes.subarray(0, 8)
+    yield bytes.subarray(8)
+  })()
+  const events = await collect(parseSSE(body))
+  assert.deepStrictEqual(events.map(e => e.data), ['你好'])
+})
+
+test('处理流结束时没有空行结尾的最后一个事件', async () => {
+  const events = await collect(parseSSE(toBody('data: a\n\ndata: b\r\n')))
+  assert.deepStrictEqual(events.map(e => e.data), ['a', 'b'])
+})
+
+test('逐行解析 NDJSON', async () => {
+  const items = await collect(parseNDJSON(toBody('{"a":1}\n{"b"', ':2}\n\n{"c":3}')))
+  assert.deepStrictEqual(items, [{ a: 1 }, { b: 2 }, { c: 3 }])
+})